@@ -1,43 +1,156 @@
 // ==UserScript==
 // @name         Danbooru - Look Into The Deep AI (LITD)
 // @namespace    LITD
-// @version      1.3.1
-// @description  Sends image to autotagger.aibooru and returns the list of suggested tags
+// @version      1.28.0
+// @description  Sends image to an autotagger backend and returns the list of suggested tags
 // @author       Dramorian
 // @match        https://danbooru.donmai.us/uploads/*
 // @match        https://danbooru.donmai.us/posts/*
+// @match        https://danbooru.donmai.us/posts
+// @match        https://danbooru.donmai.us/posts?*
 // @match        https://aibooru.online/uploads/*
 // @match        https://aibooru.online/posts/*
+// @match        https://aibooru.online/posts
+// @match        https://aibooru.online/posts?*
+// @match        https://gelbooru.com/index.php?page=post&s=view*
+// @match        https://safebooru.org/index.php?page=post&s=view*
+// @match        https://yande.re/post/show/*
+// @match        https://konachan.com/post/show/*
+// @match        https://konachan.net/post/show/*
+// @match        https://derpibooru.org/images/*
+// @match        https://furbooru.org/images/*
+// @match        https://rule34.paheal.net/post/view/*
 // @connect      autotagger.aibooru.online
 // @connect      autotagger.donmai.us
+// @connect      aibooru.online
 // @connect      cdn.aibooru.download
 // @connect      cdn.donmai.us
+// @connect      danbooru.donmai.us
+// @connect      gelbooru.com
+// @connect      safebooru.org
+// @connect      yande.re
+// @connect      konachan.com
+// @connect      konachan.net
+// @connect      derpicdn.net
+// @connect      furrycdn.org
+// @connect      paheal.net
+// @connect      localhost
+// @connect      127.0.0.1
 // @grant        GM.xmlHttpRequest
+// @grant        GM.getValue
+// @grant        GM.setValue
+// @grant        GM.registerMenuCommand
+// @grant        GM_registerMenuCommand
+// @grant        unsafeWindow
 // @run-at       document-end
 // ==/UserScript==
 
-/* global Danbooru $ */
+/* global Danbooru $ GM_registerMenuCommand ImageDecoder unsafeWindow cloneInto */
 
 (() => {
   'use strict';
 
   // Configuration constants
   const CONFIG = {
-    AUTO_TAGGER_URL: 'https://autotagger.aibooru.online/evaluate',
+    TAGGER_BACKEND: 'aibooru', // 'aibooru', 'danbooru', 'local' or 'ensemble'
+    // Ensemble: backends with a weight above 0 are queried in parallel and
+    // merged by 'mean' (weighted), 'max' or 'agreement'
+    ENSEMBLE_WEIGHTS: 'aibooru=1, danbooru=1',
+    ENSEMBLE_STRATEGY: 'mean',
+    LOCAL_TAGGER_URL: 'http://127.0.0.1:8000/evaluate',
     TAG_THRESHOLD: 0.01,
     TAG_LIMIT: 100,
+    // Scores are requested down to SCORE_FLOOR and up to SCORE_LIMIT tags, so
+    // existing tags outside the suggestions can be checked too
+    SCORE_FLOOR: 0.001,
+    SCORE_LIMIT: 1000,
+    REMOVAL_THRESHOLD: 0.05, // Existing tags scored below this are possibly incorrect
+    REMOVAL_MIN_POSTS: 1000, // Unscored tags are only flagged when this common on the site
+    CONTRADICTION_CONFIDENCE: 0.8, // Suggestions this confident flag conflicting existing tags
+    // Tags within a group exclude each other on a single-character image
+    CONTRADICTION_GROUPS: [
+      ['1girl', '2girls', '3girls', '4girls', '5girls', '6+girls'],
+      ['1boy', '2boys', '3boys', '4boys', '5boys', '6+boys'],
+      ['solo', 'multiple_girls'],
+      ['solo', 'multiple_boys'],
+      ['black_hair', 'blonde_hair', 'brown_hair', 'red_hair', 'orange_hair', 'pink_hair', 'purple_hair',
+        'blue_hair', 'aqua_hair', 'green_hair', 'white_hair', 'grey_hair', 'silver_hair'],
+      ['black_eyes', 'brown_eyes', 'red_eyes', 'orange_eyes', 'yellow_eyes', 'pink_eyes', 'purple_eyes',
+        'blue_eyes', 'aqua_eyes', 'green_eyes', 'grey_eyes'],
+      ['short_hair', 'medium_hair', 'long_hair', 'very_long_hair', 'absurdly_long_hair']
+    ],
     CACHE_EXPIRY_MS: 7 * 24 * 60 * 60 * 1000, // 7 days
-    INIT_DELAY: 500,
     DB_NAME: 'LITD_Cache',
-    DB_VERSION: 2,
+    DB_VERSION: 8,
     STORE_NAME: 'tagCache',
+    TAG_META_STORE: 'tagMeta',
+    TAG_ALIAS_STORE: 'tagAliases',
+    TAG_IMPLICATION_STORE: 'tagImplications',
+    MAX_IMPLICATION_DEPTH: 10,
+    URL_INDEX_STORE: 'urlIndex',
+    TAG_FEEDBACK_STORE: 'tagFeedback',
+    TAG_PREVIEW_STORE: 'tagPreviews',
+    TAG_META_EXPIRY_MS: 3 * 24 * 60 * 60 * 1000, // 3 days
+    TAG_META_BATCH_SIZE: 100,
+    // Hover cards with the wiki summary and example posts, on sites with Danbooru's API
+    TAG_PREVIEW: 'on',
+    TAG_PREVIEW_DELAY_MS: 400,
+    TAG_PREVIEW_HIDE_DELAY_MS: 200, // Time to move the pointer from the tag into the card
+    TAG_PREVIEW_EXAMPLES: 4,
+    TAG_PREVIEW_EXAMPLE_SEARCH: 'rating:general', // Added to the tag when searching for examples
+    TAG_PREVIEW_SUMMARY_LENGTH: 300,
     MAX_CACHE_SIZE: 5000,
+    MAX_CACHE_BYTES: 50 * 1024 * 1024, // Least recently used results are evicted above this
+    CACHE_CLEANUP_INTERVAL_MS: 60000, // Cleanup runs at most this often, when the page is idle
+    CACHE_AGE_BUCKETS_DAYS: [1, 3, 7, 30], // Histogram bucket edges in the cache panel
+    CACHE_PAGE_SIZE: 50,
+    FRAME_COUNT: 5, // Frames analyzed for videos and animated images
+    FRAME_AGGREGATION: 'max', // 'max', 'mean' or 'min_frames'
+    FRAME_MIN_COUNT: 2, // Frames a tag must appear in for 'min_frames'
+    ANIMATED_TYPES: ['image/gif', 'image/webp', 'image/png', 'image/avif'],
+    MEDIA_EVENT_TIMEOUT_MS: 15000, // Longest wait for a video to load or seek
+    REQUEST_TIMEOUT_MS: 30000,
+    DOWNLOAD_TIMEOUT_MS: 120000, // Full size images and videos
+    MAX_RETRIES: 3, // Retries on network errors, timeouts, 429 and 5xx
+    ANALYSIS_RETRIES: 2, // Failed page analyses tried again, after the request retries
+    RETRY_BASE_DELAY_MS: 1000, // Doubles with every retry
+    RETRY_MAX_DELAY_MS: 60000, // Give up instead of waiting longer than this
+    RATE_LIMIT_PER_MINUTE: 30, // Tagger requests per minute, shared by the whole page
+    RATE_LIMIT_BURST: 3,
+    MAX_CONCURRENT_REQUESTS: 4, // Tagger requests running at once, across all open tabs of a site
+    // Uploads are downscaled to PREPROCESS_MAX_SIZE (0 = the backend's input
+    // size), flattened onto PREPROCESS_BACKGROUND and re-encoded
+    PREPROCESS: 'on',
+    PREPROCESS_MAX_SIZE: 0,
+    PREPROCESS_BACKGROUND: '#ffffff',
+    PREPROCESS_FORMAT: 'image/jpeg',
+    BATCH_CONCURRENCY: 2,
+    BATCH_MIN_CONFIDENCE: 0.5, // Suggestions below this aren't listed as missing
+    // Learned thresholds: a tag's threshold is the lowest confidence at which
+    // at least LEARN_TARGET_PRECISION of its suggestions were kept
+    LEARN_TARGET_PRECISION: 0.8,
+    LEARN_MIN_SAMPLES: 5, // Reviews before a tag's own threshold replaces TAG_THRESHOLD
+    LEARN_BUCKETS: 20, // Confidence histogram resolution (5% steps)
+    PRESELECT_LEARNED: 'off', // 'on' adds suggestions that clear their learned threshold
+    STATS_LIST_SIZE: 15,
+    // Rating widget: 'empty' picks the predicted rating when none is selected
+    // yet, 'always' also replaces a selected one
+    PRESELECT_RATING: 'off',
+    RATING_CONFIDENCE: 0.8, // Warn when the selected rating disagrees with a prediction this sure
+    // Keyboard review; all but KEY_FOCUS_COLUMN only act while the column has focus
+    KEY_NEXT: 'j',
+    KEY_PREVIOUS: 'k',
+    KEY_TOGGLE: 'Space',
+    KEY_FOCUS_INPUT: 'i',
+    KEY_FOCUS_COLUMN: 'Alt+l',
+    // Checkboxes follow the tag box; scripts that set its value without an
+    // input event are noticed by polling
+    TAG_SYNC_POLL_MS: 500,
+    TAG_SYNC_RESOLVE_DELAY_MS: 400, // Pause in typing before aliases and implications are looked up
+    // Site-specific selectors live in the site adapters below
     SELECTORS: {
-      MEDIA: "#image, .media-asset-image, video.media-asset-image",
-      TAG_INPUT: "#post_tag_string",
-      EDIT_LINK: "#post-edit-link",
-      RELATED_TAGS: ".related-tags",
-      OG_IMAGE: 'meta[property="og:image"]'
+      OG_IMAGE: 'meta[property="og:image"]',
+      MAIN_COLUMN: '.litd-tag-column:not(.litd-region-column)' // The region column shares the styles
     }
   };
 
@@ -48,9 +161,340 @@
     NETWORK_ERROR: 'Network request failed',
     PARSING_ERROR: 'Response parsing failed',
     VIDEO_FRAME_ERROR: 'Video frame extraction failed',
-    DB_ERROR: 'Database operation failed'
+    DB_ERROR: 'Database operation failed',
+    SETTINGS_ERROR: 'Invalid settings',
+    RULES_ERROR: 'Invalid tag rules',
+    TIMEOUT: 'Request timed out',
+    IMPORT_ERROR: 'Not a LITD cache export',
+    CANCELLED: 'Analysis cancelled'
   };
 
+  // For values from taggers, the site or imported files that end up in HTML
+  const escapeHtml = value => String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[char]);
+
+  // Names typed by the user or read from files; rejects anything that could
+  // only have been written to inject markup
+  const isSafeTagName = name => typeof name === 'string' && /^[^\s<>"'&]+$/.test(name);
+
+  // Site adapters describe each booru engine: where the media and the tag
+  // box are, where the suggestion column goes and how tags are written back.
+  // LITD works with underscore tag names internally.
+  class SiteAdapter {
+    static cached = null;
+
+    constructor(id, label, hosts) {
+      this.id = id;
+      this.label = label;
+      this.hosts = hosts;
+    }
+
+    static current() {
+      if (!this.cached) {
+        this.cached = SITE_ADAPTERS.find(adapter => adapter.matches(location.hostname)) || SITE_ADAPTERS[0];
+      }
+      return this.cached;
+    }
+
+    matches(hostname) {
+      return this.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+    }
+
+    // { media, tagInput, editLink?, mount?, mountAfter? }
+    get selectors() {
+      return {};
+    }
+
+    // Whether the site has Danbooru's tag, alias and implication JSON API
+    get hasTagApi() {
+      return false;
+    }
+
+    // Page-wide keyboard shortcuts the site already uses
+    get shortcuts() {
+      return [];
+    }
+
+    findMedia() {
+      return document.querySelector(this.selectors.media);
+    }
+
+    findTagInput() {
+      return document.querySelector(this.selectors.tagInput);
+    }
+
+    isUploadPage() {
+      return false;
+    }
+
+    isBatchPage() {
+      return false;
+    }
+
+    fromSiteName(name) {
+      return name;
+    }
+
+    toSiteName(name) {
+      return name;
+    }
+
+    parseTags(value) {
+      return value.trim().split(/\s+/).filter(Boolean).map(name => this.fromSiteName(name));
+    }
+
+    formatTags(names) {
+      return `${names.map(name => this.toSiteName(name)).join(' ')} `;
+    }
+
+    notifyTagsChanged(input) {
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    // Lets the site re-mark its own tag lists after LITD changed the tag box
+    refreshRelatedTags() {}
+
+    searchUrl(name) {
+      return `/post?tags=${encodeURIComponent(this.toSiteName(name))}`;
+    }
+
+    ratingInputs() {
+      return this.selectors.ratingInputs ?
+        Array.from(document.querySelectorAll(this.selectors.ratingInputs)) :
+        [];
+    }
+
+    hasRatingControl() {
+      return this.ratingInputs().length > 0;
+    }
+
+    // Radio values are either letters (g, s, q, e) or whole words
+    ratingFor(value) {
+      const letter = String(value).trim().charAt(0).toLowerCase();
+      return RatingWidget.RATINGS.find(rating => rating.charAt('rating:'.length) === letter) || null;
+    }
+
+    // The rating the site can actually store for a predicted one
+    siteRating(rating) {
+      return rating;
+    }
+
+    currentRating() {
+      const checked = this.ratingInputs().find(input => input.checked);
+      return checked ? this.ratingFor(checked.value) : null;
+    }
+
+    setRating(rating) {
+      const input = this.ratingInputs().find(candidate => this.ratingFor(candidate.value) === this.siteRating(rating));
+      if (!input) return false;
+
+      input.checked = true;
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+      return true;
+    }
+
+    // Container for the progress card and the column. Sites without a
+    // sidebar slot get one right after the tag box.
+    mountPoint() {
+      if (this.selectors.mount) return document.querySelector(this.selectors.mount);
+
+      const existing = document.getElementById('litd-mount');
+      if (existing) return existing;
+
+      const input = this.findTagInput();
+      if (!input) return null;
+
+      const mount = document.createElement('div');
+      mount.id = 'litd-mount';
+      mount.className = 'litd-mount';
+      ((this.selectors.mountAfter && input.closest(this.selectors.mountAfter)) || input).after(mount);
+      return mount;
+    }
+  }
+
+  class DanbooruAdapter extends SiteAdapter {
+    get selectors() {
+      return {
+        media: '#image, .media-asset-image, video.media-asset-image',
+        tagInput: '#post_tag_string',
+        editLink: '#post-edit-link',
+        mount: '.related-tags',
+        ratingInputs: 'input[type="radio"][name$="[rating]"]',
+        batchItems: 'article.post-preview, article.media-asset-preview',
+        batchContainer: '#posts, .media-asset-gallery, #c-uploads #a-show'
+      };
+    }
+
+    get hasTagApi() {
+      return true;
+    }
+
+    get shortcuts() {
+      return ['a', 'd', 'e', 'f', 'q', 'r', 's', 'w', 'Shift+a', 'Shift+d', 'Shift+e', 'Shift+f', 'Shift+r'];
+    }
+
+    isUploadPage() {
+      return /uploads\/\d+/.test(location.href) && Boolean(this.findMedia());
+    }
+
+    isBatchPage() {
+      const isPostIndex = /^\/posts\/?$/.test(location.pathname);
+      const isUploadBatch = /^\/uploads\/\d+\/?$/.test(location.pathname) &&
+        document.querySelectorAll(this.selectors.batchItems).length > 1;
+      return isPostIndex || isUploadBatch;
+    }
+
+    notifyTagsChanged(input) {
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+      this.refreshRelatedTags();
+    }
+
+    refreshRelatedTags() {
+      if (typeof Danbooru !== 'undefined' && Danbooru.RelatedTag) {
+        Danbooru.RelatedTag.update_selected();
+      }
+    }
+
+    searchUrl(name) {
+      return `/posts?tags=${encodeURIComponent(name)}`;
+    }
+  }
+
+  class GelbooruAdapter extends SiteAdapter {
+    get selectors() {
+      return {
+        media: '#image, video#gelcomVideoPlayer',
+        tagInput: '#edit_form textarea[name="tags"]',
+        ratingInputs: '#edit_form input[type="radio"][name="rating"]'
+      };
+    }
+
+    searchUrl(name) {
+      return `/index.php?page=post&s=list&tags=${encodeURIComponent(name)}`;
+    }
+  }
+
+  // yande.re, konachan
+  class MoebooruAdapter extends SiteAdapter {
+    get selectors() {
+      return {
+        media: '#image',
+        tagInput: '#post_tags',
+        ratingInputs: 'input[type="radio"][name="post[rating]"]'
+      };
+    }
+
+    // Safe covers both general and sensitive
+    ratingFor(value) {
+      const rating = super.ratingFor(value);
+      return rating === 'rating:sensitive' ? 'rating:general' : rating;
+    }
+
+    siteRating(rating) {
+      return rating === 'rating:sensitive' ? 'rating:general' : rating;
+    }
+  }
+
+  // Derpibooru, Furbooru: comma separated tags written with spaces, and
+  // ratings are plain tags
+  class PhilomenaAdapter extends SiteAdapter {
+    static RATINGS = {
+      'rating:general': 'safe',
+      'rating:sensitive': 'suggestive',
+      'rating:questionable': 'questionable',
+      'rating:explicit': 'explicit'
+    };
+
+    get selectors() {
+      return {
+        media: '#image_target img, #image_target video',
+        tagInput: 'textarea.js-taginput-plain',
+        mountAfter: '.js-taginput-fancy, .field'
+      };
+    }
+
+    fromSiteName(name) {
+      const trimmed = name.trim();
+      const rating = Object.keys(PhilomenaAdapter.RATINGS).find(key => PhilomenaAdapter.RATINGS[key] === trimmed);
+      return rating || trimmed.replace(/\s+/g, '_');
+    }
+
+    toSiteName(name) {
+      return PhilomenaAdapter.RATINGS[name] || name.replace(/_/g, ' ');
+    }
+
+    parseTags(value) {
+      return value.split(',').map(name => this.fromSiteName(name)).filter(Boolean);
+    }
+
+    formatTags(names) {
+      return names.map(name => this.toSiteName(name)).join(', ');
+    }
+
+    // The fancy tag editor re-reads the plain field on "reload"
+    notifyTagsChanged(input) {
+      super.notifyTagsChanged(input);
+      input.dispatchEvent(new CustomEvent('reload'));
+    }
+
+    searchUrl(name) {
+      return `/search?q=${encodeURIComponent(this.toSiteName(name))}`;
+    }
+
+    hasRatingControl() {
+      return Boolean(this.findTagInput());
+    }
+
+    currentRating() {
+      const input = this.findTagInput();
+      return input ? this.parseTags(input.value).find(name => name in PhilomenaAdapter.RATINGS) || null : null;
+    }
+
+    // The rating tag in the tag box is swapped
+    setRating(rating) {
+      const input = this.findTagInput();
+      if (!input || !(rating in PhilomenaAdapter.RATINGS)) return false;
+
+      const others = this.parseTags(input.value).filter(name => !(name in PhilomenaAdapter.RATINGS));
+      input.value = this.formatTags([rating, ...others]);
+      this.notifyTagsChanged(input);
+      return true;
+    }
+  }
+
+  class ShimmieAdapter extends SiteAdapter {
+    get selectors() {
+      return {
+        media: '#main_image',
+        tagInput: '[name="tag_edit__tags"]',
+        mountAfter: 'table'
+      };
+    }
+
+    searchUrl(name) {
+      return `/post/list/${encodeURIComponent(name)}/1`;
+    }
+  }
+
+  // The first adapter is the fallback for unknown hosts
+  const SITE_ADAPTERS = [
+    new DanbooruAdapter('danbooru', 'Danbooru', ['danbooru.donmai.us']),
+    new DanbooruAdapter('aibooru', 'AIBooru', ['aibooru.online']),
+    new GelbooruAdapter('gelbooru', 'Gelbooru', ['gelbooru.com']),
+    new GelbooruAdapter('safebooru', 'Safebooru', ['safebooru.org']),
+    new MoebooruAdapter('yandere', 'yande.re', ['yande.re']),
+    new MoebooruAdapter('konachan', 'Konachan', ['konachan.com', 'konachan.net']),
+    new PhilomenaAdapter('derpibooru', 'Derpibooru', ['derpibooru.org']),
+    new PhilomenaAdapter('furbooru', 'Furbooru', ['furbooru.org']),
+    new ShimmieAdapter('paheal', 'Paheal', ['rule34.paheal.net'])
+  ];
+
   // IndexedDB Cache Manager with compressed data storage
   class IndexedDBCache {
     constructor() {
@@ -75,58 +519,163 @@
 
         request.onupgradeneeded = (event) => {
           const db = event.target.result;
+          const oldVersion = event.oldVersion;
+
+          // v1 stored raw HTML responses, rebuild with the compact structure
+          if (oldVersion < 2) {
+            if (db.objectStoreNames.contains(CONFIG.STORE_NAME)) {
+              db.deleteObjectStore(CONFIG.STORE_NAME);
+              console.log('LITD: Migrating to new cache structure');
+            }
+
+            const store = db.createObjectStore(CONFIG.STORE_NAME, { keyPath: 'key' });
+            store.createIndex('timestamp', 'timestamp', { unique: false });
+            store.createIndex('size', 'size', { unique: false });
+            console.log('LITD: Created optimized object store');
+          }
+
+          // v3 adds tag metadata (category, post count) resolved from the site
+          if (oldVersion < 3) {
+            const metaStore = db.createObjectStore(CONFIG.TAG_META_STORE, { keyPath: 'name' });
+            metaStore.createIndex('timestamp', 'timestamp', { unique: false });
+            console.log('LITD: Created tag metadata store');
+          }
+
+          // v4 keys results by content hash; URL-keyed entries are kept and
+          // re-keyed the next time their URL is analyzed
+          if (oldVersion < 4) {
+            const urlStore = db.createObjectStore(CONFIG.URL_INDEX_STORE, { keyPath: 'url' });
+            urlStore.createIndex('timestamp', 'timestamp', { unique: false });
+
+            if (oldVersion >= 2) {
+              this.migrateLegacyEntries(event.target.transaction.objectStore(CONFIG.STORE_NAME));
+            }
+          }
+
+          // v5 caches tag aliases and implications, expiring like tag metadata
+          if (oldVersion < 5) {
+            [CONFIG.TAG_ALIAS_STORE, CONFIG.TAG_IMPLICATION_STORE].forEach(storeName => {
+              const relationStore = db.createObjectStore(storeName, { keyPath: 'name' });
+              relationStore.createIndex('timestamp', 'timestamp', { unique: false });
+            });
+            console.log('LITD: Created tag alias and implication stores');
+          }
 
-          // Delete old store if it exists (migration)
-          if (db.objectStoreNames.contains(CONFIG.STORE_NAME)) {
-            db.deleteObjectStore(CONFIG.STORE_NAME);
-            console.log('LITD: Migrating to new cache structure');
+          // v6 records which suggestions were kept when the tag form was submitted
+          if (oldVersion < 6) {
+            const feedbackStore = db.createObjectStore(CONFIG.TAG_FEEDBACK_STORE, { keyPath: 'name' });
+            feedbackStore.createIndex('timestamp', 'timestamp', { unique: false });
+            console.log('LITD: Created tag feedback store');
+          }
+
+          // v7 tracks when each result was last read, for LRU eviction.
+          // Entries from before v4 get theirs in migrateLegacyEntries.
+          if (oldVersion < 7) {
+            const store = event.target.transaction.objectStore(CONFIG.STORE_NAME);
+            store.createIndex('lastAccess', 'lastAccess', { unique: false });
+
+            if (oldVersion >= 4) {
+              store.openCursor().onsuccess = (cursorEvent) => {
+                const cursor = cursorEvent.target.result;
+                if (!cursor) return;
+                cursor.update({ ...cursor.value, lastAccess: cursor.value.timestamp });
+                cursor.continue();
+              };
+            }
           }
 
-          // Create new object store with optimized structure
-          const store = db.createObjectStore(CONFIG.STORE_NAME, { keyPath: 'key' });
-          store.createIndex('timestamp', 'timestamp', { unique: false });
-          store.createIndex('size', 'size', { unique: false });
-          console.log('LITD: Created optimized object store');
+          // v8 caches wiki summaries and example posts for tag hover cards
+          if (oldVersion < 8) {
+            const previewStore = db.createObjectStore(CONFIG.TAG_PREVIEW_STORE, { keyPath: 'name' });
+            previewStore.createIndex('timestamp', 'timestamp', { unique: false });
+            console.log('LITD: Created tag preview store');
+          }
         };
       });
     }
 
-    generateKey(url) {
-      // Use a hash for shorter keys
+    // The same entry for another backend
+    keyForBackend(key, backendId) {
+      return key.replace(/^litd_[^_]+_/, `litd_${backendId}_`);
+    }
+
+    // Shape of the keys generateKey builds
+    static KEY_PATTERN = /^litd_[a-z0-9]+_(md5:[0-9a-f]{32}|sha256:[0-9a-f]{64})(#frame=\d+\/\d+)?(#crop=[\d.]+(,[\d.]+){3})?$/;
+
+    // contentHash is 'md5:<hex>' or 'sha256:<hex>', see ContentHasher.
+    // crop is a box in fractions of the image, see RegionTagger.
+    generateKey(contentHash, backendId, frame = null, crop = null) {
+      const frameSuffix = frame ? `#frame=${frame.index + 1}/${frame.total}` : '';
+      const cropSuffix = crop ? `#crop=${[crop.x, crop.y, crop.width, crop.height].join(',')}` : '';
+      return `litd_${backendId}_${contentHash}${frameSuffix}${cropSuffix}`;
+    }
+
+    // 32-bit URL hash used for keys before v4
+    hashUrl(url) {
       let hash = 0;
       for (let i = 0; i < url.length; i++) {
         const char = url.charCodeAt(i);
         hash = ((hash << 5) - hash) + char;
         hash = hash & hash; // Convert to 32bit integer
       }
-      return `litd_${Math.abs(hash)}`;
+      return Math.abs(hash);
     }
 
-    // Extract only essential tag data from HTML response
-    parseTagData(htmlString) {
-      try {
-        const doc = new DOMParser().parseFromString(htmlString, "text/html");
-        const rows = Array.from(doc.querySelectorAll("tbody tr"));
+    legacyKeys(url, backendId) {
+      const hash = this.hashUrl(url);
+      const keys = [`litd_${backendId}_${hash}`];
+      // Releases before the backend layer only talked to the AIBooru autotagger
+      if (backendId === 'aibooru') {
+        keys.push(`litd_${hash}`);
+      }
+      return keys;
+    }
 
-        const tags = rows
-          .map(row => {
-            const link = row.querySelector("a.text-sky-600.hover\\:text-sky-500.mr-4");
-            const confidence = row.querySelector("td.text-gray-400.text-right");
+    // Runs inside the upgrade transaction: marks URL-keyed entries and converts
+    // their text confidences, without dropping any data
+    migrateLegacyEntries(store) {
+      let migrated = 0;
 
-            if (!link || !confidence) return null;
+      store.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          if (migrated > 0) {
+            console.log(`LITD: Migrated ${migrated} URL-keyed cache entries`);
+          }
+          return;
+        }
 
-            return {
-              name: link.textContent.replace(/\s+/g, '_').trim(),
-              confidence: confidence.textContent.trim()
-            };
-          })
-          .filter(Boolean);
+        const record = cursor.value;
+        if (!record.keyType) {
+          const tags = (record.tags || []).map(tag => ({
+            ...tag,
+            confidence: TaggerBackend.parseConfidence(tag.confidence)
+          }));
+          cursor.update({
+            ...record,
+            tags,
+            keyType: 'legacy-url',
+            lastAccess: record.timestamp,
+            size: this.calculateSize(tags)
+          });
+          migrated++;
+        }
+        cursor.continue();
+      };
+    }
+
+    // Moves a URL-keyed entry to its content key and returns its tags
+    async adoptLegacy(url, backendId, newKey) {
+      for (const legacyKey of this.legacyKeys(url, backendId)) {
+        const tags = await this.get(legacyKey);
+        if (!tags || tags.length === 0) continue;
 
+        console.log(`LITD: Re-keying legacy cache entry ${legacyKey} -> ${newKey}`);
+        await this.set(newKey, tags);
+        await this.delete(legacyKey);
         return tags;
-      } catch (error) {
-        console.error('LITD: Failed to parse tag data:', error);
-        return [];
       }
+      return null;
     }
 
     // Calculate approximate size of stored data
@@ -139,7 +688,7 @@
         await this.initPromise;
 
         return new Promise((resolve, reject) => {
-          const transaction = this.db.transaction([CONFIG.STORE_NAME], 'readonly');
+          const transaction = this.db.transaction([CONFIG.STORE_NAME], 'readwrite');
           const store = transaction.objectStore(CONFIG.STORE_NAME);
           const request = store.get(key);
 
@@ -154,13 +703,16 @@
             // Check if cache is expired
             if (Date.now() - result.timestamp > CONFIG.CACHE_EXPIRY_MS) {
               console.log('LITD: Cache expired, cleaning up');
-              this.delete(key); // Clean up expired entry
+              store.delete(key);
               resolve(null);
               return;
             }
 
-            // Return the compressed tag data
-            resolve(result.tags);
+            // Expiry still counts from when the result was stored
+            store.put({ ...result, lastAccess: Date.now() });
+
+            // Re-apply the current score floor and limit
+            resolve(TaggerBackend.normalizeTags(result.tags));
           };
 
           request.onerror = () => {
@@ -184,14 +736,11 @@
       return `${day}.${month}.${year} ${hours}:${minutes}`;
     }
 
-    async set(key, htmlResponse) {
+    async set(key, tags) {
       try {
         await this.initPromise;
 
-        // Parse HTML and extract only tag data
-        const tags = this.parseTagData(htmlResponse);
-
-        if (tags.length === 0) {
+        if (!tags || tags.length === 0) {
           console.warn('LITD: No tags found in response, skipping cache');
           return;
         }
@@ -203,13 +752,15 @@
           const now = Date.now();
           const record = {
             key: key,
+            keyType: 'content',
             tags: tags,
             timestamp: now,
             timestampFormatted: this.formatTimestamp(now),
+            lastAccess: now,
             size: this.calculateSize(tags)
           };
 
-          console.log(`LITD: Caching ${tags.length} tags (${record.size} bytes vs ~${new Blob([htmlResponse]).size} bytes raw) at ${record.timestampFormatted}`);
+          console.log(`LITD: Caching ${tags.length} tags (${record.size} bytes) at ${record.timestampFormatted}`);
 
           const request = store.put(record);
 
@@ -223,8 +774,7 @@
           };
 
           transaction.oncomplete = () => {
-            // Cleanup old entries if cache is too large
-            this.cleanupOldEntries();
+            this.scheduleCleanup();
           };
         });
       } catch (error) {
@@ -252,6 +802,31 @@
       }
     }
 
+    // Runs cleanupOldEntries when the page is idle, at most once per
+    // CACHE_CLEANUP_INTERVAL_MS
+    scheduleCleanup() {
+      if (this.cleanupScheduled) return;
+      this.cleanupScheduled = true;
+
+      const wait = Math.max(0, (this.lastCleanup || 0) + CONFIG.CACHE_CLEANUP_INTERVAL_MS - Date.now());
+      setTimeout(() => {
+        const run = () => {
+          this.cleanupScheduled = false;
+          this.lastCleanup = Date.now();
+          this.cleanupOldEntries();
+        };
+
+        if (typeof requestIdleCallback === 'function') {
+          requestIdleCallback(run, { timeout: CONFIG.CACHE_CLEANUP_INTERVAL_MS });
+        } else {
+          run();
+        }
+      }, wait);
+    }
+
+    // Drops expired entries, then the least recently used ones until the
+    // cache fits MAX_CACHE_BYTES and MAX_CACHE_SIZE. Only index keys are
+    // read, never the stored tags.
     async cleanupOldEntries() {
       try {
         await this.initPromise;
@@ -259,51 +834,63 @@
         return new Promise((resolve) => {
           const transaction = this.db.transaction([CONFIG.STORE_NAME], 'readwrite');
           const store = transaction.objectStore(CONFIG.STORE_NAME);
-          const index = store.index('timestamp');
+          const expired = new Set();
+          const sizes = new Map();
+          let totalBytes = 0;
+          let evicted = 0;
 
-          // Open cursor in ascending order (oldest first)
-          const request = index.openCursor(null, 'next');
+          const eachKey = (request, onKey, onDone) => {
+            request.onsuccess = (event) => {
+              const cursor = event.target.result;
+              if (!cursor) {
+                onDone();
+                return;
+              }
+              if (onKey(cursor) !== false) cursor.continue();
+              else onDone();
+            };
+          };
 
-          let count = 0;
-          const toDelete = [];
-          const allEntries = [];
+          const evictLeastRecent = () => {
+            if (totalBytes <= CONFIG.MAX_CACHE_BYTES && sizes.size <= CONFIG.MAX_CACHE_SIZE) return;
 
-          request.onsuccess = (event) => {
-            const cursor = event.target.result;
+            eachKey(store.index('lastAccess').openKeyCursor(null, 'next'), (cursor) => {
+              if (totalBytes <= CONFIG.MAX_CACHE_BYTES && sizes.size <= CONFIG.MAX_CACHE_SIZE) return false;
+              if (!sizes.has(cursor.primaryKey)) return true;
 
-            if (cursor) {
-              const record = cursor.value;
-              allEntries.push(record);
-              cursor.continue();
-            } else {
-              // Now we have all entries, process them
-              const totalCount = allEntries.length;
-
-              allEntries.forEach((record, index) => {
-                // Delete expired entries
-                if (Date.now() - record.timestamp > CONFIG.CACHE_EXPIRY_MS) {
-                  toDelete.push(record.key);
-                }
-                // Delete oldest entries if over MAX_CACHE_SIZE
-                // Since entries are sorted oldest first, delete from beginning
-                else if (totalCount > CONFIG.MAX_CACHE_SIZE && index < (totalCount - CONFIG.MAX_CACHE_SIZE)) {
-                  toDelete.push(record.key);
-                }
-              });
+              store.delete(cursor.primaryKey);
+              totalBytes -= sizes.get(cursor.primaryKey);
+              sizes.delete(cursor.primaryKey);
+              evicted++;
+              return true;
+            }, () => {});
+          };
 
-              // Delete marked entries
-              if (toDelete.length > 0) {
-                console.log(`LITD: Cleaning up ${toDelete.length} cache entries`);
-                toDelete.forEach(key => {
-                  store.delete(key);
-                });
-              }
-              resolve();
-            }
+          const measure = () => {
+            eachKey(store.index('size').openKeyCursor(), (cursor) => {
+              if (expired.has(cursor.primaryKey)) return true;
+              sizes.set(cursor.primaryKey, cursor.key);
+              totalBytes += cursor.key;
+              return true;
+            }, evictLeastRecent);
           };
 
-          request.onerror = () => {
-            console.warn('LITD: Cleanup error:', request.error);
+          const expiredRange = IDBKeyRange.upperBound(Date.now() - CONFIG.CACHE_EXPIRY_MS, true);
+          eachKey(store.index('timestamp').openKeyCursor(expiredRange), (cursor) => {
+            expired.add(cursor.primaryKey);
+            store.delete(cursor.primaryKey);
+            return true;
+          }, measure);
+
+          transaction.oncomplete = () => {
+            if (expired.size > 0 || evicted > 0) {
+              console.log(`LITD: Cleaned up ${expired.size} expired and ${evicted} least recently used cache entries ` +
+                `(${(totalBytes / 1024).toFixed(2)}KB left)`);
+            }
+            resolve();
+          };
+          transaction.onerror = () => {
+            console.warn('LITD: Cleanup error:', transaction.error);
             resolve();
           };
         });
@@ -316,42 +903,56 @@
       try {
         await this.initPromise;
 
+        // Reads the size and timestamp indexes only, not the stored tags
         return new Promise((resolve) => {
           const transaction = this.db.transaction([CONFIG.STORE_NAME], 'readonly');
           const store = transaction.objectStore(CONFIG.STORE_NAME);
-          const request = store.openCursor();
 
           let totalEntries = 0;
           let totalSize = 0;
           let oldestEntry = Date.now();
+          const ageHistogram = new Array(CONFIG.CACHE_AGE_BUCKETS_DAYS.length + 1).fill(0);
 
-          request.onsuccess = (event) => {
+          store.index('size').openKeyCursor().onsuccess = (event) => {
             const cursor = event.target.result;
+            if (!cursor) return;
+            totalSize += cursor.key;
+            cursor.continue();
+          };
 
-            if (cursor) {
-              const record = cursor.value;
-              totalEntries++;
-              totalSize += record.size || 0;
-              oldestEntry = Math.min(oldestEntry, record.timestamp);
-              cursor.continue();
-            } else {
-              resolve({
-                entries: totalEntries,
-                totalSizeKB: (totalSize / 1024).toFixed(2),
-                oldestEntryAge: Math.floor((Date.now() - oldestEntry) / (1000 * 60 * 60 * 24))
-              });
-            }
+          store.index('timestamp').openKeyCursor().onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) return;
+            totalEntries++;
+            oldestEntry = Math.min(oldestEntry, cursor.key);
+            ageHistogram[this.ageBucket(cursor.key)]++;
+            cursor.continue();
           };
 
-          request.onerror = () => {
-            resolve({ entries: 0, totalSizeKB: 0, oldestEntryAge: 0 });
+          transaction.oncomplete = () => {
+            resolve({
+              entries: totalEntries,
+              totalSizeKB: (totalSize / 1024).toFixed(2),
+              oldestEntryAge: Math.floor((Date.now() - oldestEntry) / (1000 * 60 * 60 * 24)),
+              ageHistogram
+            });
+          };
+
+          transaction.onerror = () => {
+            resolve({ entries: 0, totalSizeKB: 0, oldestEntryAge: 0, ageHistogram: [] });
           };
         });
       } catch (error) {
-        return { entries: 0, totalSizeKB: 0, oldestEntryAge: 0 };
+        return { entries: 0, totalSizeKB: 0, oldestEntryAge: 0, ageHistogram: [] };
       }
     }
 
+    ageBucket(timestamp) {
+      const ageDays = (Date.now() - timestamp) / (1000 * 60 * 60 * 24);
+      const index = CONFIG.CACHE_AGE_BUCKETS_DAYS.findIndex(edge => ageDays < edge);
+      return index === -1 ? CONFIG.CACHE_AGE_BUCKETS_DAYS.length : index;
+    }
+
     async clearAll() {
       try {
         await this.initPromise;
@@ -375,202 +976,4322 @@
         console.warn('LITD: Clear all failed:', error);
       }
     }
-  }
 
-  // Initialize cache manager
-  const cacheManager = new IndexedDBCache();
+    // Pages through entries whose key or tag names contain `search`
+    async query({ search = '', offset = 0, limit = CONFIG.CACHE_PAGE_SIZE } = {}) {
+      const needle = search.trim().toLowerCase();
 
-  // Media processing utilities
-  class MediaProcessor {
-    static extractImageUrl(img) {
-      if (!img?.src) return null;
+      try {
+        await this.initPromise;
 
-      const url = new URL(img.src);
-      return url.pathname === "/uploads/image_proxy" ?
-        url.searchParams.get("url") :
-        img.src;
-    }
+        return new Promise((resolve) => {
+          const transaction = this.db.transaction([CONFIG.STORE_NAME], 'readonly');
+          const index = transaction.objectStore(CONFIG.STORE_NAME).index('timestamp');
+          const request = index.openCursor(null, 'prev'); // Newest first
 
-    static isVideo(element) {
-      return element?.tagName === 'VIDEO';
-    }
+          const records = [];
+          let total = 0;
 
-    static async fetchBlob(url) {
-      return new Promise((resolve, reject) => {
-        GM.xmlHttpRequest({
-          method: "GET",
-          url,
-          responseType: "blob",
-          onload: response => {
-            if (response.status >= 200 && response.status < 300) {
-              resolve(new Blob([response.response], {
-                type: response.response.type || "image/jpeg"
-              }));
-            } else {
-              reject(new Error(`HTTP ${response.status}: ${response.statusText}`));
+          request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (!cursor) {
+              resolve({ records, total });
+              return;
             }
-          },
-          onerror: () => reject(new Error(ErrorTypes.NETWORK_ERROR))
-        });
-      });
-    }
 
-    static async extractVideoFrame() {
-      const ogImg = document.querySelector(CONFIG.SELECTORS.OG_IMAGE);
-      if (!ogImg?.content) {
-        throw new Error(ErrorTypes.VIDEO_FRAME_ERROR);
+            const record = cursor.value;
+            const matches = !needle ||
+              record.key.toLowerCase().includes(needle) ||
+              (record.tags || []).some(tag => tag.name.toLowerCase().includes(needle));
+
+            if (matches) {
+              if (total >= offset && records.length < limit) {
+                records.push(record);
+              }
+              total++;
+            }
+            cursor.continue();
+          };
+
+          request.onerror = () => {
+            console.warn('LITD: Cache query error:', request.error);
+            resolve({ records, total });
+          };
+        });
+      } catch (error) {
+        console.warn('LITD: Cache query failed:', error);
+        return { records: [], total: 0 };
       }
+    }
 
+    // Deletes every backend's (and every frame's) entry for a content hash
+    async deleteByHash(contentHash) {
       try {
-        const response = await fetch(ogImg.content);
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-        return await response.blob();
+        await this.initPromise;
+
+        return new Promise((resolve) => {
+          const transaction = this.db.transaction([CONFIG.STORE_NAME], 'readwrite');
+          const store = transaction.objectStore(CONFIG.STORE_NAME);
+          let deleted = 0;
+
+          Object.keys(TAGGER_BACKENDS).forEach(backendId => {
+            const prefix = this.generateKey(contentHash, backendId);
+            const request = store.openKeyCursor(IDBKeyRange.bound(prefix, `${prefix}\uffff`));
+            request.onsuccess = (event) => {
+              const cursor = event.target.result;
+              if (!cursor) return;
+              store.delete(cursor.primaryKey);
+              deleted++;
+              cursor.continue();
+            };
+          });
+
+          transaction.oncomplete = () => resolve(deleted);
+          transaction.onerror = () => {
+            console.warn('LITD: Cache deletion error:', transaction.error);
+            resolve(deleted);
+          };
+        });
       } catch (error) {
-        throw new Error(`${ErrorTypes.VIDEO_FRAME_ERROR}: ${error.message}`);
+        console.warn('LITD: Cache delete by hash failed:', error);
+        return 0;
       }
     }
 
-    static createFormData(blob, fileName) {
-      const formData = new FormData();
-      formData.append("file", blob, fileName);
-      formData.append("format", "html");
-      formData.append("threshold", CONFIG.TAG_THRESHOLD);
-      formData.append("limit", CONFIG.TAG_LIMIT);
-      return formData;
+    async readAll(storeName) {
+      await this.initPromise;
+
+      return new Promise((resolve, reject) => {
+        const request = this.db.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
     }
-  }
+
+    // Tag results plus the URL index, so an imported cache also skips downloads
+    async exportData() {
+      return {
+        format: 'litd-cache',
+        version: CONFIG.DB_VERSION,
+        exportedAt: new Date().toISOString(),
+        entries: await this.readAll(CONFIG.STORE_NAME),
+        urlIndex: await this.readAll(CONFIG.URL_INDEX_STORE)
+      };
+    }
+
+    // mode 'replace' clears both stores first; 'merge' keeps whichever copy is newer.
+    // Entries with keys generateKey can't have produced are skipped, as are
+    // tags with names no site uses.
+    async importData(data, mode = 'merge') {
+      if (data?.format !== 'litd-cache' || !Array.isArray(data.entries)) {
+        throw new Error(ErrorTypes.IMPORT_ERROR);
+      }
+
+      const entries = data.entries
+        .filter(record => IndexedDBCache.KEY_PATTERN.test(record?.key) && Array.isArray(record.tags))
+        .map(record => {
+          const tags = record.tags
+            .filter(tag => isSafeTagName(tag?.name))
+            .map(tag => ({ ...tag, confidence: TaggerBackend.parseConfidence(tag.confidence) }));
+          const timestamp = Number(record.timestamp) || Date.now();
+          return {
+            ...record,
+            tags,
+            timestamp,
+            timestampFormatted: this.formatTimestamp(timestamp),
+            lastAccess: Number(record.lastAccess) || timestamp,
+            size: this.calculateSize(tags)
+          };
+        });
+      const urlIndex = (Array.isArray(data.urlIndex) ? data.urlIndex : [])
+        .filter(record => typeof record?.url === 'string' && typeof record.hash === 'string');
+
+      await this.initPromise;
+
+      const result = await new Promise((resolve, reject) => {
+        const storeNames = [CONFIG.STORE_NAME, CONFIG.URL_INDEX_STORE];
+        const transaction = this.db.transaction(storeNames, 'readwrite');
+        const counts = { imported: 0, skipped: data.entries.length - entries.length };
+
+        // Only tag entries are counted, URL index records ride along
+        const write = (store, record, key, counted) => {
+          const put = () => {
+            store.put(record);
+            if (counted) counts.imported++;
+          };
+
+          if (mode === 'replace') {
+            put();
+            return;
+          }
+
+          const request = store.get(key);
+          request.onsuccess = () => {
+            if (!request.result || request.result.timestamp < record.timestamp) {
+              put();
+            } else if (counted) {
+              counts.skipped++;
+            }
+          };
+        };
+
+        const tagStore = transaction.objectStore(CONFIG.STORE_NAME);
+        const urlStore = transaction.objectStore(CONFIG.URL_INDEX_STORE);
+        if (mode === 'replace') {
+          tagStore.clear();
+          urlStore.clear();
+        }
+
+        entries.forEach(record => write(tagStore, record, record.key, true));
+        urlIndex.forEach(record => write(urlStore, record, record.url, false));
+
+        transaction.oncomplete = () => resolve(counts);
+        transaction.onerror = () => reject(transaction.error);
+      });
+
+      console.log(`LITD: Imported ${result.imported} cache entries (${mode}), skipped ${result.skipped}`);
+      this.cleanupOldEntries();
+      return result;
+    }
+  }
+
+  // Initialize cache manager
+  const cacheManager = new IndexedDBCache();
+
+  // Per-tag records (metadata, aliases, implications, previews) keyed by tag name.
+  // Shares the database with the tag cache but expires after TAG_META_EXPIRY_MS.
+  class TagRecordCache {
+    constructor(cache, storeName) {
+      this.cache = cache;
+      this.storeName = storeName;
+    }
+
+    // Returns a Map of name -> record for the names that are cached and fresh
+    async getMany(names) {
+      const found = new Map();
+
+      try {
+        await this.cache.initPromise;
+
+        return new Promise((resolve) => {
+          const transaction = this.cache.db.transaction([this.storeName], 'readonly');
+          const store = transaction.objectStore(this.storeName);
+          const now = Date.now();
+
+          names.forEach(name => {
+            const request = store.get(name);
+            request.onsuccess = () => {
+              const record = request.result;
+              if (record && now - record.timestamp <= CONFIG.TAG_META_EXPIRY_MS) {
+                found.set(name, record);
+              }
+            };
+          });
+
+          transaction.oncomplete = () => resolve(found);
+          transaction.onerror = () => {
+            console.warn(`LITD: ${this.storeName} retrieval error:`, transaction.error);
+            resolve(found);
+          };
+        });
+      } catch (error) {
+        console.warn(`LITD: ${this.storeName} get failed:`, error);
+        return found;
+      }
+    }
+
+    async setMany(records) {
+      if (records.length === 0) return;
+
+      try {
+        await this.cache.initPromise;
+
+        return new Promise((resolve) => {
+          const transaction = this.cache.db.transaction([this.storeName], 'readwrite');
+          const store = transaction.objectStore(this.storeName);
+          const now = Date.now();
+
+          records.forEach(record => store.put({ ...record, timestamp: now }));
+
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = () => {
+            console.warn(`LITD: ${this.storeName} storage error:`, transaction.error);
+            resolve();
+          };
+        });
+      } catch (error) {
+        console.warn(`LITD: ${this.storeName} set failed:`, error);
+      }
+    }
+
+    async clearAll() {
+      try {
+        await this.cache.initPromise;
+
+        return new Promise((resolve) => {
+          const transaction = this.cache.db.transaction([this.storeName], 'readwrite');
+          transaction.objectStore(this.storeName).clear();
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = () => resolve();
+        });
+      } catch (error) {
+        console.warn(`LITD: ${this.storeName} clear failed:`, error);
+      }
+    }
+  }
+
+  const tagMetadataCache = new TagRecordCache(cacheManager, CONFIG.TAG_META_STORE);
+  const tagAliasCache = new TagRecordCache(cacheManager, CONFIG.TAG_ALIAS_STORE);
+  const tagImplicationCache = new TagRecordCache(cacheManager, CONFIG.TAG_IMPLICATION_STORE);
+  const tagPreviewCache = new TagRecordCache(cacheManager, CONFIG.TAG_PREVIEW_STORE);
+
+  // Secondary index from media URL to content hash, so repeat visits can
+  // find cached results without downloading the file again
+  class UrlIndexCache {
+    constructor(cache) {
+      this.cache = cache;
+    }
+
+    async get(url) {
+      try {
+        await this.cache.initPromise;
+
+        return new Promise((resolve) => {
+          const transaction = this.cache.db.transaction([CONFIG.URL_INDEX_STORE], 'readonly');
+          const request = transaction.objectStore(CONFIG.URL_INDEX_STORE).get(url);
+
+          request.onsuccess = () => {
+            const record = request.result;
+            if (!record || Date.now() - record.timestamp > CONFIG.CACHE_EXPIRY_MS) {
+              resolve(null);
+              return;
+            }
+            resolve(record);
+          };
+          request.onerror = () => {
+            console.warn('LITD: URL index retrieval error:', request.error);
+            resolve(null);
+          };
+        });
+      } catch (error) {
+        console.warn('LITD: URL index get failed:', error);
+        return null;
+      }
+    }
+
+    // frameCount is the number of cache entries the media was split into,
+    // requestedFrames the FRAME_COUNT setting it was analyzed with
+    async set(url, hash, frameCount, requestedFrames) {
+      try {
+        await this.cache.initPromise;
+
+        return new Promise((resolve) => {
+          const transaction = this.cache.db.transaction([CONFIG.URL_INDEX_STORE], 'readwrite');
+          transaction.objectStore(CONFIG.URL_INDEX_STORE).put({ url, hash, frameCount, requestedFrames, timestamp: Date.now() });
+
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = () => {
+            console.warn('LITD: URL index storage error:', transaction.error);
+            resolve();
+          };
+        });
+      } catch (error) {
+        console.warn('LITD: URL index set failed:', error);
+      }
+    }
+
+    async delete(url) {
+      try {
+        await this.cache.initPromise;
+
+        return new Promise((resolve) => {
+          const transaction = this.cache.db.transaction([CONFIG.URL_INDEX_STORE], 'readwrite');
+          transaction.objectStore(CONFIG.URL_INDEX_STORE).delete(url);
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = () => resolve();
+        });
+      } catch (error) {
+        console.warn('LITD: URL index delete failed:', error);
+      }
+    }
+  }
+
+  const urlIndexCache = new UrlIndexCache(cacheManager);
+
+  // Per-tag acceptance counts, bucketed by suggestion confidence:
+  // { name, accepted: number[], rejected: number[], timestamp }
+  class TagFeedbackStore {
+    constructor(cache) {
+      this.cache = cache;
+    }
+
+    static emptyRecord(name) {
+      return {
+        name,
+        accepted: new Array(CONFIG.LEARN_BUCKETS).fill(0),
+        rejected: new Array(CONFIG.LEARN_BUCKETS).fill(0)
+      };
+    }
+
+    static bucketFor(confidence) {
+      return Math.min(CONFIG.LEARN_BUCKETS - 1, Math.max(0, Math.floor(confidence * CONFIG.LEARN_BUCKETS)));
+    }
+
+    // outcomes: [{ name, confidence, accepted }]
+    async record(outcomes) {
+      if (outcomes.length === 0) return;
+
+      try {
+        await this.cache.initPromise;
+
+        return new Promise((resolve) => {
+          const transaction = this.cache.db.transaction([CONFIG.TAG_FEEDBACK_STORE], 'readwrite');
+          const store = transaction.objectStore(CONFIG.TAG_FEEDBACK_STORE);
+          const now = Date.now();
+
+          const byName = new Map();
+          outcomes.forEach(outcome => byName.set(outcome.name, [...(byName.get(outcome.name) || []), outcome]));
+
+          byName.forEach((tagOutcomes, name) => {
+            const request = store.get(name);
+            request.onsuccess = () => {
+              const record = request.result || TagFeedbackStore.emptyRecord(name);
+              tagOutcomes.forEach(({ confidence, accepted }) => {
+                record[accepted ? 'accepted' : 'rejected'][TagFeedbackStore.bucketFor(confidence)]++;
+              });
+              store.put({ ...record, timestamp: now });
+            };
+          });
+
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = () => {
+            console.warn('LITD: Tag feedback storage error:', transaction.error);
+            resolve();
+          };
+        });
+      } catch (error) {
+        console.warn('LITD: Tag feedback record failed:', error);
+      }
+    }
+
+    async getMany(names) {
+      const found = new Map();
+
+      try {
+        await this.cache.initPromise;
+
+        return new Promise((resolve) => {
+          const transaction = this.cache.db.transaction([CONFIG.TAG_FEEDBACK_STORE], 'readonly');
+          const store = transaction.objectStore(CONFIG.TAG_FEEDBACK_STORE);
+
+          names.forEach(name => {
+            const request = store.get(name);
+            request.onsuccess = () => {
+              if (request.result) found.set(name, request.result);
+            };
+          });
+
+          transaction.oncomplete = () => resolve(found);
+          transaction.onerror = () => {
+            console.warn('LITD: Tag feedback retrieval error:', transaction.error);
+            resolve(found);
+          };
+        });
+      } catch (error) {
+        console.warn('LITD: Tag feedback get failed:', error);
+        return found;
+      }
+    }
+
+    async readAll() {
+      try {
+        await this.cache.initPromise;
+
+        return new Promise((resolve, reject) => {
+          const transaction = this.cache.db.transaction([CONFIG.TAG_FEEDBACK_STORE], 'readonly');
+          const request = transaction.objectStore(CONFIG.TAG_FEEDBACK_STORE).getAll();
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      } catch (error) {
+        console.warn('LITD: Tag feedback read failed:', error);
+        return [];
+      }
+    }
+
+    async clearAll() {
+      try {
+        await this.cache.initPromise;
+
+        return new Promise((resolve) => {
+          const transaction = this.cache.db.transaction([CONFIG.TAG_FEEDBACK_STORE], 'readwrite');
+          transaction.objectStore(CONFIG.TAG_FEEDBACK_STORE).clear();
+          transaction.oncomplete = () => resolve();
+          transaction.onerror = () => resolve();
+        });
+      } catch (error) {
+        console.warn('LITD: Tag feedback clear failed:', error);
+      }
+    }
+  }
+
+  const tagFeedbackStore = new TagFeedbackStore(cacheManager);
+
+  // Content hashes used as cache keys
+  class ContentHasher {
+    // Danbooru names originals, samples and thumbnails after the file's md5
+    static md5FromUrl(url) {
+      try {
+        const fileName = new URL(url, location.href).pathname.split('/').pop();
+        const match = fileName.match(/(?:^|[_-])([0-9a-f]{32})\.[a-z0-9]+$/i);
+        return match ? `md5:${match[1].toLowerCase()}` : null;
+      } catch (error) {
+        return null;
+      }
+    }
+
+    static async sha256(blob) {
+      const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+      const hex = Array.from(new Uint8Array(digest))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+      return `sha256:${hex}`;
+    }
+
+    static async hashFor(url, blob) {
+      return this.md5FromUrl(url) || this.sha256(blob);
+    }
+  }
+
+  // Token bucket shared by every tagger request on the page, so batch runs
+  // don't hammer the autotagger
+  class TokenBucket {
+    constructor(getCapacity, getPerMinute) {
+      this.getCapacity = getCapacity;
+      this.getPerMinute = getPerMinute;
+      this.tokens = getCapacity();
+      this.lastRefill = Date.now();
+    }
+
+    refill() {
+      const now = Date.now();
+      const perMs = this.getPerMinute() / 60000;
+      this.tokens = Math.min(this.getCapacity(), this.tokens + (now - this.lastRefill) * perMs);
+      this.lastRefill = now;
+    }
+
+    async acquire(signal) {
+      for (;;) {
+        this.refill();
+        if (this.tokens >= 1) {
+          this.tokens -= 1;
+          return;
+        }
+
+        const waitMs = Math.ceil((1 - this.tokens) / (this.getPerMinute() / 60000));
+        await HttpClient.sleep(waitMs, signal);
+      }
+    }
+  }
+
+  const taggerRateLimiter = new TokenBucket(() => CONFIG.RATE_LIMIT_BURST, () => CONFIG.RATE_LIMIT_PER_MINUTE);
+
+  // Shared wrapper around GM.xmlHttpRequest with timeouts, retries with
+  // exponential backoff, cancellation through an AbortSignal and optional rate limiting
+  class HttpClient {
+    static abortError() {
+      const error = new Error(ErrorTypes.CANCELLED);
+      error.name = 'AbortError';
+      return error;
+    }
+
+    static isAbort(error) {
+      return error?.name === 'AbortError';
+    }
+
+    static sleep(ms, signal) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(this.abortError());
+          return;
+        }
+
+        const onAbort = () => {
+          clearTimeout(timer);
+          reject(this.abortError());
+        };
+        const timer = setTimeout(() => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    }
+
+    static isRetryable(status) {
+      return status === 429 || status >= 500;
+    }
+
+    // Retry-After is either delay seconds or an HTTP date
+    static parseRetryAfter(responseHeaders) {
+      const match = /^retry-after:\s*(.+)$/im.exec(responseHeaders || '');
+      if (!match) return null;
+
+      const value = match[1].trim();
+      const seconds = Number(value);
+      if (Number.isFinite(seconds)) return seconds * 1000;
+
+      const date = Date.parse(value);
+      return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    static backoffDelay(attempt) {
+      const exponential = CONFIG.RETRY_BASE_DELAY_MS * 2 ** attempt;
+      const jitter = Math.random() * CONFIG.RETRY_BASE_DELAY_MS;
+      return Math.min(CONFIG.RETRY_MAX_DELAY_MS, exponential + jitter);
+    }
+
+    // Resolves with the 2xx response; options are passed on to GM.xmlHttpRequest
+    static async request({ rateLimiter = null, retries = CONFIG.MAX_RETRIES, signal, ...options }) {
+      for (let attempt = 0; ; attempt++) {
+        if (signal?.aborted) throw this.abortError();
+        if (rateLimiter) await rateLimiter.acquire(signal);
+
+        let response;
+        try {
+          response = await this.send({ ...options, signal });
+        } catch (error) {
+          if (this.isAbort(error) || attempt >= retries) throw error;
+
+          console.warn(`LITD: ${error.message} for ${options.url}, retry ${attempt + 1}/${retries}`);
+          await this.sleep(this.backoffDelay(attempt), signal);
+          continue;
+        }
+
+        if (response.status >= 200 && response.status < 300) {
+          return response;
+        }
+
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        if (!this.isRetryable(response.status) || attempt >= retries) throw error;
+
+        // A server asking us to wait longer than RETRY_MAX_DELAY_MS is treated as a failure
+        const retryAfter = this.parseRetryAfter(response.responseHeaders);
+        if (retryAfter !== null && retryAfter > CONFIG.RETRY_MAX_DELAY_MS) throw error;
+
+        const delay = retryAfter ?? this.backoffDelay(attempt);
+        console.warn(`LITD: HTTP ${response.status} from ${options.url}, retry ${attempt + 1}/${retries} in ${Math.round(delay)}ms`);
+        await this.sleep(delay, signal);
+      }
+    }
+
+    static send({ method = 'GET', url, data, responseType, timeoutMs = CONFIG.REQUEST_TIMEOUT_MS, signal }) {
+      return new Promise((resolve, reject) => {
+        let settled = false;
+        let handle = null;
+
+        const finish = (callback, value) => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', onAbort);
+          callback(value);
+        };
+        const onAbort = () => {
+          handle?.abort?.();
+          finish(reject, this.abortError());
+        };
+
+        // Own timer as well, not every userscript manager honors `timeout`
+        const timer = setTimeout(() => {
+          handle?.abort?.();
+          finish(reject, new Error(ErrorTypes.TIMEOUT));
+        }, timeoutMs);
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        handle = GM.xmlHttpRequest({
+          method,
+          url,
+          data,
+          responseType,
+          timeout: timeoutMs,
+          onload: response => finish(resolve, response),
+          onerror: () => finish(reject, new Error(ErrorTypes.NETWORK_ERROR)),
+          ontimeout: () => finish(reject, new Error(ErrorTypes.TIMEOUT)),
+          onabort: () => finish(reject, this.abortError())
+        });
+      });
+    }
+  }
+
+  // Coordinates tagger requests with the site's other open tabs. Holding a
+  // Web Lock named after the cache key marks a result as being fetched, so a
+  // second tab waits for it instead of sending the same request. The
+  // BroadcastChannel announces started keys and pushes finished results to
+  // waiting tabs; slot locks cap the requests running across all tabs.
+  class TabCoordinator {
+    static CHANNEL_NAME = 'litd-tabs';
+    static BUSY = Symbol('busy');
+    static channel = null;
+    static inFlight = new Set(); // Keys other tabs announced
+    static waiters = new Map(); // key -> Set of callbacks for the pushed result
+
+    static start() {
+      if (typeof BroadcastChannel !== 'function') return;
+
+      this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+      this.channel.addEventListener('message', event => this.receive(event.data));
+    }
+
+    static get hasLocks() {
+      return Boolean(navigator.locks);
+    }
+
+    static post(message) {
+      this.channel?.postMessage(message);
+    }
+
+    static receive({ type, key, tags }) {
+      if (type === 'started') {
+        this.inFlight.add(key);
+        return;
+      }
+
+      this.inFlight.delete(key);
+      if (type === 'finished') {
+        this.waiters.get(key)?.forEach(callback => callback(tags));
+        this.waiters.delete(key);
+      }
+    }
+
+    // Resolves with the tags another tab pushes for key
+    static waitForResult(key, signal) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(HttpClient.abortError());
+          return;
+        }
+
+        const callbacks = this.waiters.get(key) || new Set();
+        const onResult = (tags) => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(tags);
+        };
+        const onAbort = () => {
+          callbacks.delete(onResult);
+          reject(HttpClient.abortError());
+        };
+        callbacks.add(onResult);
+        this.waiters.set(key, callbacks);
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    }
+
+    // Returns the tags for key, from another tab when it is already fetching
+    // them, otherwise from fetchTags(). Results are cached before other
+    // tabs are told about them.
+    static async run(key, fetchTags, { signal, onWait = null } = {}) {
+      if (!this.hasLocks) {
+        // Best effort: only tabs that announced the key in time are noticed
+        if (this.inFlight.has(key)) {
+          onWait?.();
+          const shared = await Promise.race([
+            this.waitForResult(key, signal),
+            HttpClient.sleep(CONFIG.REQUEST_TIMEOUT_MS, signal).then(() => null)
+          ]);
+          if (shared) return shared;
+        }
+        return this.fetchAndShare(key, fetchTags, signal);
+      }
+
+      const lockName = `litd-key:${key}`;
+      const result = await navigator.locks.request(lockName, { ifAvailable: true },
+        lock => (lock ? this.fetchAndShare(key, fetchTags, signal) : this.BUSY));
+      if (result !== this.BUSY) return result;
+
+      // Whatever comes first: the pushed result, or the lock once the other
+      // tab is done or gone
+      console.log(`LITD: Waiting for another tab to tag ${key}`);
+      onWait?.();
+      const waiting = new AbortController();
+      const stopWaiting = () => waiting.abort();
+      signal?.addEventListener('abort', stopWaiting, { once: true });
+
+      try {
+        return await Promise.race([
+          this.waitForResult(key, waiting.signal),
+          navigator.locks.request(lockName, { signal: waiting.signal }, () => this.fetchAndShare(key, fetchTags, signal))
+        ]);
+      } catch (error) {
+        throw signal?.aborted ? HttpClient.abortError() : error;
+      } finally {
+        signal?.removeEventListener('abort', stopWaiting);
+        waiting.abort();
+      }
+    }
+
+    static async fetchAndShare(key, fetchTags, signal) {
+      const cached = await cacheManager.get(key);
+      if (cached && cached.length > 0) {
+        console.log(`LITD: Using result another tab cached for ${key}`);
+        return cached;
+      }
+
+      this.post({ type: 'started', key });
+      try {
+        const tags = await this.withSlot(fetchTags, signal);
+        await cacheManager.set(key, tags);
+        this.post({ type: 'finished', key, tags });
+        return tags;
+      } catch (error) {
+        this.post({ type: 'failed', key });
+        throw error;
+      }
+    }
+
+    // Runs task while holding one of the MAX_CONCURRENT_REQUESTS slot locks.
+    // Every slot is requested; the first one granted wins and the other
+    // requests are withdrawn.
+    static withSlot(task, signal) {
+      if (!this.hasLocks) return task();
+
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(HttpClient.abortError());
+          return;
+        }
+
+        const others = new AbortController();
+        const onAbort = () => others.abort();
+        let claimed = false;
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        for (let slot = 0; slot < CONFIG.MAX_CONCURRENT_REQUESTS; slot++) {
+          navigator.locks.request(`litd-slot:${slot}`, { signal: others.signal }, async () => {
+            if (claimed) return;
+            claimed = true;
+            others.abort();
+            signal?.removeEventListener('abort', onAbort);
+
+            try {
+              resolve(await task());
+            } catch (error) {
+              reject(error);
+            }
+          }).catch(() => {
+            if (!claimed) reject(HttpClient.abortError());
+          });
+        }
+      });
+    }
+  }
+
+  // Media processing utilities
+  class MediaProcessor {
+    static extractImageUrl(img) {
+      if (!img?.src) return null;
+
+      const url = new URL(img.src);
+      return url.pathname === "/uploads/image_proxy" ?
+        url.searchParams.get("url") :
+        img.src;
+    }
+
+    static isVideo(element) {
+      return element?.tagName === 'VIDEO';
+    }
+
+    static async fetchBlob(url, signal) {
+      const response = await HttpClient.request({
+        method: "GET",
+        url,
+        responseType: "blob",
+        timeoutMs: CONFIG.DOWNLOAD_TIMEOUT_MS,
+        signal
+      });
+      return new Blob([response.response], {
+        type: response.response.type || "image/jpeg"
+      });
+    }
+
+    static async extractVideoFrame(signal) {
+      const ogImg = document.querySelector(CONFIG.SELECTORS.OG_IMAGE);
+      if (!ogImg?.content) {
+        throw new Error(ErrorTypes.VIDEO_FRAME_ERROR);
+      }
+
+      try {
+        const response = await HttpClient.request({ method: 'GET', url: ogImg.content, responseType: 'blob', signal });
+        return response.response;
+      } catch (error) {
+        if (HttpClient.isAbort(error)) throw error;
+        throw new Error(`${ErrorTypes.VIDEO_FRAME_ERROR}: ${error.message}`);
+      }
+    }
+
+    // Rejects when the element reports an error, after MEDIA_EVENT_TIMEOUT_MS
+    // (e.g. a codec the browser can't play) or when signal aborts
+    static waitForEvent(element, eventName, signal) {
+      return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(HttpClient.abortError());
+          return;
+        }
+
+        const cleanup = () => {
+          clearTimeout(timer);
+          element.removeEventListener(eventName, onEvent);
+          element.removeEventListener('error', onError);
+          signal?.removeEventListener('abort', onAbort);
+        };
+        const onEvent = () => {
+          cleanup();
+          resolve();
+        };
+        const onError = () => {
+          cleanup();
+          reject(new Error(ErrorTypes.VIDEO_FRAME_ERROR));
+        };
+        const onAbort = () => {
+          cleanup();
+          reject(HttpClient.abortError());
+        };
+        const timer = setTimeout(() => {
+          cleanup();
+          reject(new Error(`${ErrorTypes.VIDEO_FRAME_ERROR}: no ${eventName} event`));
+        }, CONFIG.MEDIA_EVENT_TIMEOUT_MS);
+
+        element.addEventListener(eventName, onEvent);
+        element.addEventListener('error', onError);
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    }
+
+    // Uses an OffscreenCanvas when the browser has one
+    static canvasToBlob(source, width, height, type = 'image/jpeg') {
+      const offscreen = typeof OffscreenCanvas === 'function';
+      const canvas = offscreen ? new OffscreenCanvas(width, height) : document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+
+      // Transparent frames would otherwise turn black in JPEG
+      const context = canvas.getContext('2d');
+      context.fillStyle = CONFIG.PREPROCESS_BACKGROUND;
+      context.fillRect(0, 0, width, height);
+      context.imageSmoothingQuality = 'high';
+      context.drawImage(source, 0, 0, width, height);
+
+      if (offscreen) {
+        return canvas.convertToBlob({ type, quality: 0.92 });
+      }
+      return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ?
+          resolve(blob) :
+          reject(new Error(ErrorTypes.VIDEO_FRAME_ERROR)), type, 0.92);
+      });
+    }
+
+    // Midpoints of N equal segments, so the first frame isn't a title card
+    static frameTimes(duration, count) {
+      return Array.from({ length: count }, (_, i) => duration * (i + 0.5) / count);
+    }
+
+    // Takes the fetched video blob, so the canvas isn't tainted by the CDN origin
+    static async extractVideoFrames(blob, count, signal) {
+      const objectUrl = URL.createObjectURL(blob);
+      const player = document.createElement('video');
+      player.muted = true;
+      player.preload = 'auto';
+
+      try {
+        const loaded = this.waitForEvent(player, 'loadeddata', signal);
+        player.src = objectUrl;
+        await loaded;
+
+        if (!Number.isFinite(player.duration) || player.duration <= 0) {
+          throw new Error(`${ErrorTypes.VIDEO_FRAME_ERROR}: unknown duration`);
+        }
+
+        const frames = [];
+        for (const time of this.frameTimes(player.duration, count)) {
+          const seeked = this.waitForEvent(player, 'seeked', signal);
+          player.currentTime = time;
+          await seeked;
+          frames.push(await this.canvasToBlob(player, player.videoWidth, player.videoHeight));
+        }
+        return frames;
+      } finally {
+        player.removeAttribute('src');
+        player.load();
+        URL.revokeObjectURL(objectUrl);
+      }
+    }
+
+    // Decodes GIF/APNG/animated WebP frames with ImageDecoder when the browser has it.
+    // Returns null for still images or when decoding isn't available.
+    static async extractAnimatedFrames(blob, count) {
+      if (!CONFIG.ANIMATED_TYPES.includes(blob.type) || typeof ImageDecoder === 'undefined') {
+        return null;
+      }
+
+      try {
+        if (!(await ImageDecoder.isTypeSupported(blob.type))) return null;
+
+        const decoder = new ImageDecoder({ data: await blob.arrayBuffer(), type: blob.type });
+        try {
+          await decoder.tracks.ready;
+          const frameCount = decoder.tracks.selectedTrack?.frameCount || 1;
+          if (frameCount <= 1) return null;
+
+          const indices = [...new Set(this.frameTimes(frameCount, Math.min(count, frameCount))
+            .map(index => Math.floor(index)))];
+
+          const frames = [];
+          for (const frameIndex of indices) {
+            const { image } = await decoder.decode({ frameIndex });
+            try {
+              frames.push(await this.canvasToBlob(image, image.displayWidth, image.displayHeight));
+            } finally {
+              image.close();
+            }
+          }
+          return frames;
+        } finally {
+          decoder.close();
+        }
+      } catch (error) {
+        console.warn('LITD: Animated image decoding failed, using first frame:', error);
+        return null;
+      }
+    }
+
+    static isZip(blob, fileName = '') {
+      return blob.type === 'application/zip' || /\.zip$/i.test(fileName);
+    }
+
+    // Ugoira are zips of numbered JPEG/PNG frames. Evenly spaced frames are
+    // taken as they are; the zip is read through its central directory.
+    static async extractUgoiraFrames(blob, count) {
+      const buffer = await blob.arrayBuffer();
+      const entries = this.zipEntries(new DataView(buffer))
+        .filter(entry => /\.(jpe?g|png|gif|webp)$/i.test(entry.name))
+        .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+      if (entries.length === 0) {
+        throw new Error(`${ErrorTypes.VIDEO_FRAME_ERROR}: no frames in the ugoira`);
+      }
+
+      const indices = [...new Set(this.frameTimes(entries.length, Math.min(count, entries.length))
+        .map(index => Math.floor(index)))];
+      return Promise.all(indices.map(index => this.zipEntryBlob(buffer, entries[index])));
+    }
+
+    static zipEntries(view) {
+      let end = view.byteLength - 22;
+      while (end >= 0 && view.getUint32(end, true) !== 0x06054b50) end--;
+      if (end < 0) throw new Error(`${ErrorTypes.VIDEO_FRAME_ERROR}: not a zip file`);
+
+      const entries = [];
+      let offset = view.getUint32(end + 16, true);
+      for (let remaining = view.getUint16(end + 10, true); remaining > 0; remaining--) {
+        if (view.getUint32(offset, true) !== 0x02014b50) break;
+
+        const nameLength = view.getUint16(offset + 28, true);
+        entries.push({
+          name: new TextDecoder().decode(new Uint8Array(view.buffer, offset + 46, nameLength)),
+          method: view.getUint16(offset + 10, true),
+          size: view.getUint32(offset + 20, true),
+          headerOffset: view.getUint32(offset + 42, true)
+        });
+        offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+      }
+      return entries;
+    }
+
+    // Stored entries are sliced out, deflated ones inflated with DecompressionStream
+    static async zipEntryBlob(buffer, entry) {
+      const view = new DataView(buffer);
+      const start = entry.headerOffset + 30 +
+        view.getUint16(entry.headerOffset + 26, true) + view.getUint16(entry.headerOffset + 28, true);
+      const extension = entry.name.split('.').pop().toLowerCase();
+      const type = `image/${extension === 'jpg' ? 'jpeg' : extension}`;
+      const data = new Blob([buffer.slice(start, start + entry.size)]);
+
+      if (entry.method === 0) return new Blob([data], { type });
+      if (entry.method === 8 && typeof DecompressionStream === 'function') {
+        const inflated = await new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+        return new Blob([inflated], { type });
+      }
+      throw new Error(`${ErrorTypes.VIDEO_FRAME_ERROR}: unsupported zip compression ${entry.method}`);
+    }
+
+    static createFormData(blob, fileName) {
+      const formData = new FormData();
+      formData.append("file", blob, fileName);
+      formData.append("format", "json");
+      formData.append("threshold", TaggerBackend.scoreFloor());
+      formData.append("limit", CONFIG.SCORE_LIMIT);
+      return formData;
+    }
+  }
+
+  // Shrinks uploads to the tagger: downscales to the model's input size,
+  // flattens transparency, converts to JPEG/PNG and applies EXIF
+  // orientation. Cache keys still come from the original file.
+  class ImagePreprocessor {
+    static totals = { originalBytes: 0, sentBytes: 0, count: 0 };
+
+    static isEnabled() {
+      return CONFIG.PREPROCESS === 'on' && typeof createImageBitmap === 'function';
+    }
+
+    static maxSize(backend) {
+      return CONFIG.PREPROCESS_MAX_SIZE || backend.inputSize;
+    }
+
+    // EXIF orientation (1-8) of a JPEG, 1 when it has none
+    static async jpegOrientation(blob) {
+      try {
+        const view = new DataView(await blob.slice(0, 65536).arrayBuffer());
+        if (view.getUint16(0) !== 0xFFD8) return 1;
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+          const marker = view.getUint16(offset);
+          if (marker === 0xFFDA || (marker & 0xFF00) !== 0xFF00) return 1;
+
+          // APP1 starting with "Exif\0\0", then a TIFF header and IFD0
+          if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+            const tiff = offset + 10;
+            const little = view.getUint16(tiff) === 0x4949;
+            const ifd = tiff + view.getUint32(tiff + 4, little);
+            const count = view.getUint16(ifd, little);
+            for (let i = 0; i < count; i++) {
+              const entry = ifd + 2 + i * 12;
+              if (view.getUint16(entry, little) === 0x0112) {
+                return view.getUint16(entry + 8, little);
+              }
+            }
+            return 1;
+          }
+          offset += 2 + view.getUint16(offset + 2);
+        }
+      } catch (error) {
+        // Truncated or malformed EXIF
+      }
+      return 1;
+    }
+
+    // Small upright JPEGs are already what the tagger wants
+    static async needsProcessing(blob, bitmap, maxSize) {
+      if (Math.max(bitmap.width, bitmap.height) > maxSize) return true;
+      if (blob.type !== 'image/jpeg') return true;
+      return await this.jpegOrientation(blob) !== 1;
+    }
+
+    // Returns { blob, fileName } to upload; the original when preprocessing
+    // is off or the image can't be decoded here
+    static async process(blob, fileName, backend) {
+      if (!this.isEnabled()) return { blob, fileName };
+
+      let bitmap;
+      try {
+        bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+      } catch (error) {
+        console.warn('LITD: Preprocessing skipped, image could not be decoded:', error);
+        return { blob, fileName };
+      }
+
+      try {
+        const maxSize = this.maxSize(backend);
+        let upload = { blob, fileName };
+        if (await this.needsProcessing(blob, bitmap, maxSize)) {
+          const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+          const width = Math.max(1, Math.round(bitmap.width * scale));
+          const height = Math.max(1, Math.round(bitmap.height * scale));
+          const extension = CONFIG.PREPROCESS_FORMAT === 'image/png' ? 'png' : 'jpg';
+
+          upload = {
+            blob: await MediaProcessor.canvasToBlob(bitmap, width, height, CONFIG.PREPROCESS_FORMAT),
+            fileName: `${fileName.replace(/\.[^.]+$/, '')}.${extension}`
+          };
+          console.log(`LITD: Preprocessed ${fileName} ${bitmap.width}x${bitmap.height} -> ${width}x${height}, ` +
+            `${this.formatBytes(blob.size)} -> ${this.formatBytes(upload.blob.size)}`);
+        }
+
+        this.totals.originalBytes += blob.size;
+        this.totals.sentBytes += upload.blob.size;
+        this.totals.count++;
+        return upload;
+      } catch (error) {
+        console.warn('LITD: Preprocessing failed, sending the original:', error);
+        return { blob, fileName };
+      } finally {
+        bitmap.close();
+      }
+    }
+
+    static formatBytes(bytes) {
+      if (Math.abs(bytes) >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+      if (Math.abs(bytes) >= 1024) return `${Math.round(bytes / 1024)} KB`;
+      return `${bytes} B`;
+    }
+
+    // Upload savings on this page, or '' before anything was uploaded
+    static createSummary() {
+      const { originalBytes, sentBytes, count } = this.totals;
+      if (count === 0) return '';
+
+      const saved = originalBytes - sentBytes;
+      return `
+        <div class="litd-preprocess-savings text-muted text-xs"
+             title="${count} upload(s) on this page: ${this.formatBytes(originalBytes)} -> ${this.formatBytes(sentBytes)}">
+          Preprocessing saved ${this.formatBytes(Math.max(saved, 0))}
+          (${originalBytes > 0 ? Math.round(Math.max(saved, 0) / originalBytes * 100) : 0}%)
+        </div>`;
+    }
+  }
+
+  // Tagger backends: each adapter posts the media to its endpoint and
+  // normalizes the reply into [{ name, confidence }] sorted by confidence
+  class TaggerBackend {
+    // inputSize: the model's input resolution, uploads are downscaled to it
+    constructor(id, label, defaultUrl, inputSize) {
+      this.id = id;
+      this.label = label;
+      this.defaultUrl = defaultUrl;
+      this.inputSize = inputSize;
+    }
+
+    static current() {
+      return TAGGER_BACKENDS[CONFIG.TAGGER_BACKEND] || TAGGER_BACKENDS.aibooru;
+    }
+
+    // Lowest score kept from the tagger, low enough to check existing tags
+    static scoreFloor() {
+      return Math.min(CONFIG.SCORE_FLOOR, CONFIG.TAG_THRESHOLD, CONFIG.REMOVAL_THRESHOLD);
+    }
+
+    // The part of a score list that is shown as suggestions
+    static topTags(tags) {
+      return tags
+        .filter(tag => tag.confidence >= CONFIG.TAG_THRESHOLD)
+        .slice(0, CONFIG.TAG_LIMIT);
+    }
+
+    get isEnsemble() {
+      return false;
+    }
+
+    getEndpoint() {
+      return this.defaultUrl;
+    }
+
+    createRequestData(blob, fileName) {
+      return MediaProcessor.createFormData(blob, fileName);
+    }
+
+    parseResponse(responseText) {
+      try {
+        return TaggerBackend.normalizeTags(JSON.parse(responseText));
+      } catch (error) {
+        console.error(`LITD: Failed to parse ${this.label} response:`, error);
+        throw new Error(ErrorTypes.PARSING_ERROR);
+      }
+    }
+
+    static parseConfidence(value) {
+      if (typeof value === 'number') return value;
+
+      const text = String(value ?? '').trim();
+      const number = parseFloat(text);
+      if (Number.isNaN(number)) return 0;
+      return text.endsWith('%') ? number / 100 : number;
+    }
+
+    static normalizeName(name) {
+      return String(name ?? '').trim().replace(/\s+/g, '_');
+    }
+
+    // Shared tag model used by the cache and the renderer: every score down
+    // to scoreFloor(), see topTags() for the suggestions
+    static normalizeTags(payload) {
+      const byName = new Map();
+
+      this.collectTags(payload).forEach(entry => {
+        const name = this.normalizeName(entry.name);
+        const confidence = this.parseConfidence(entry.confidence);
+        if (!name) return;
+
+        const existing = byName.get(name);
+        if (!existing || existing.confidence < confidence) {
+          byName.set(name, { ...entry, name, confidence });
+        }
+      });
+
+      return Array.from(byName.values())
+        .filter(tag => tag.confidence >= this.scoreFloor())
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, CONFIG.SCORE_LIMIT);
+    }
+
+    // Accepts the payload shapes returned by the supported taggers:
+    //   [{ filename, tags: { name: score } }]                (autotagger)
+    //   { general: {}, character: {}, rating: {} }           (WD14-style servers)
+    //   { tags: ... } or { name: score }
+    //   [{ name|tag|label, confidence|score|probability }] or [[name, score]]
+    static collectTags(payload) {
+      if (!payload || typeof payload !== 'object') return [];
+
+      if (Array.isArray(payload)) {
+        if (payload[0]?.tags) {
+          return this.collectTags(payload[0].tags);
+        }
+
+        return payload.map(entry => Array.isArray(entry) ?
+          { name: entry[0], confidence: entry[1] } :
+          {
+            ...entry,
+            name: entry?.name ?? entry?.tag ?? entry?.label,
+            confidence: entry?.confidence ?? entry?.score ?? entry?.probability
+          });
+      }
+
+      if (payload.tags) {
+        return this.collectTags(payload.tags);
+      }
+
+      const groups = ['general', 'character', 'rating'];
+      if (groups.some(group => payload[group] && typeof payload[group] === 'object')) {
+        return [
+          ...this.collectTags(payload.general),
+          ...this.collectTags(payload.character),
+          ...this.collectTags(payload.rating).map(tag => ({
+            ...tag,
+            name: String(tag.name).startsWith('rating:') ? tag.name : `rating:${tag.name}`
+          }))
+        ];
+      }
+
+      return Object.entries(payload).map(([name, confidence]) => ({ name, confidence }));
+    }
+  }
+
+  // Danbooru's autotagger (also deployed by AIBooru) with format=json
+  class AutotaggerBackend extends TaggerBackend {}
+
+  // Self-hosted WD14/JoyTag-style HTTP server, may ignore threshold/limit
+  class LocalTaggerBackend extends TaggerBackend {
+    getEndpoint() {
+      return CONFIG.LOCAL_TAGGER_URL || this.defaultUrl;
+    }
+  }
+
+  // Queries several backends and merges their scores. Not a tagger itself:
+  // LITDApp.tagEnsemble runs the members and calls merge().
+  class EnsembleBackend extends TaggerBackend {
+    get isEnsemble() {
+      return true;
+    }
+
+    // "aibooru=1, danbooru=0.5" -> [{ id, weight }], throws on unknown backends
+    static parseWeights(text) {
+      const entries = String(text).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const match = part.match(/^([a-z0-9]+)\s*=\s*([0-9.]+)$/i);
+        if (!match) throw new Error(`"${part}" isn't written like backend=weight`);
+
+        const backend = TAGGER_BACKENDS[match[1]];
+        if (!backend || backend.isEnsemble) throw new Error(`unknown backend "${match[1]}"`);
+
+        const weight = Number(match[2]);
+        if (!Number.isFinite(weight)) throw new Error(`"${match[2]}" is not a number`);
+        return { id: backend.id, weight };
+      });
+
+      if (!entries.some(entry => entry.weight > 0)) {
+        throw new Error('at least one backend needs a weight above 0');
+      }
+      return entries;
+    }
+
+    // [{ backend, weight }] for every backend with a weight above 0
+    members() {
+      try {
+        return EnsembleBackend.parseWeights(CONFIG.ENSEMBLE_WEIGHTS)
+          .filter(entry => entry.weight > 0)
+          .map(entry => ({ backend: TAGGER_BACKENDS[entry.id], weight: entry.weight }));
+      } catch (error) {
+        console.warn('LITD: Invalid ensemble weights, using AIBooru only:', error);
+        return [{ backend: TAGGER_BACKENDS.aibooru, weight: 1 }];
+      }
+    }
+
+    getEndpoint() {
+      throw new Error('LITD: The ensemble has no endpoint of its own');
+    }
+
+    // results: [{ backend, weight, tags }] of the members that answered.
+    // Each merged tag keeps its per-backend scores in `sources`.
+    merge(results, strategy = CONFIG.ENSEMBLE_STRATEGY) {
+      const totalWeight = results.reduce((sum, result) => sum + result.weight, 0);
+      const maxWeight = Math.max(...results.map(result => result.weight));
+      const stats = new Map();
+
+      results.forEach(({ backend, weight, tags }) => {
+        tags.forEach(tag => {
+          const entry = stats.get(tag.name) || { name: tag.name, sources: {}, weighted: 0, max: 0, suggestedBy: 0 };
+          entry.sources[backend.id] = tag.confidence;
+          entry.weighted += weight * tag.confidence;
+          entry.max = Math.max(entry.max, tag.confidence * weight / maxWeight);
+          if (tag.confidence >= CONFIG.TAG_THRESHOLD) entry.suggestedBy++;
+          stats.set(tag.name, entry);
+        });
+      });
+
+      const merged = Array.from(stats.values()).map(entry => ({
+        name: entry.name,
+        confidence: this.confidenceFor(entry, strategy, totalWeight, results.length),
+        sources: entry.sources
+      }));
+
+      return TaggerBackend.normalizeTags(merged);
+    }
+
+    confidenceFor(entry, strategy, totalWeight, backendCount) {
+      const mean = entry.weighted / totalWeight;
+      switch (strategy) {
+        case 'max':
+          // Scaled by weight relative to the heaviest backend
+          return entry.max;
+        case 'agreement':
+          // Tags only some backends suggest lose the missing share
+          return mean * entry.suggestedBy / backendCount;
+        default:
+          // Backends that didn't score the tag count as zero
+          return mean;
+      }
+    }
+  }
+
+  const TAGGER_BACKENDS = {
+    aibooru: new AutotaggerBackend('aibooru', 'AIBooru Autotagger', 'https://autotagger.aibooru.online/evaluate', 512),
+    danbooru: new AutotaggerBackend('danbooru', 'Danbooru Autotagger', 'https://autotagger.donmai.us/evaluate', 512),
+    local: new LocalTaggerBackend('local', 'Self-hosted tagger', 'http://127.0.0.1:8000/evaluate', 448),
+    ensemble: new EnsembleBackend('ensemble', 'Ensemble of several taggers', null, null)
+  };
+
+  // Settings editable from the in-page dialog. Values are stored in GM
+  // storage and layered as defaults < all sites < current site.
+  const SETTINGS_STORAGE_KEY = 'litd_settings';
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const SETTINGS_FIELDS = [
+    {
+      key: 'TAGGER_BACKEND',
+      label: 'Tagger backend',
+      type: 'select',
+      options: () => Object.values(TAGGER_BACKENDS).map(backend => [backend.id, backend.label])
+    },
+    { key: 'LOCAL_TAGGER_URL', label: 'Self-hosted tagger URL', type: 'url' },
+    { key: 'ENSEMBLE_WEIGHTS', label: 'Ensemble: backend weights', type: 'weights' },
+    {
+      key: 'ENSEMBLE_STRATEGY',
+      label: 'Ensemble: merge strategy',
+      type: 'select',
+      options: () => [
+        ['mean', 'Weighted mean'],
+        ['max', 'Highest (weighted) confidence'],
+        ['agreement', 'Agreement: scaled by how many backends suggest it']
+      ]
+    },
+    { key: 'TAG_THRESHOLD', label: 'Minimum confidence (0-1)', type: 'number', min: 0, max: 1, step: 0.01 },
+    { key: 'TAG_LIMIT', label: 'Maximum suggestions', type: 'number', min: 1, max: 1000, step: 1, integer: true },
+    { key: 'REMOVAL_THRESHOLD', label: 'Possibly incorrect: existing tags below (0-1)', type: 'number', min: 0, max: 1, step: 0.01 },
+    { key: 'CONTRADICTION_CONFIDENCE', label: 'Possibly incorrect: conflicting suggestion above (0-1)', type: 'number', min: 0, max: 1, step: 0.05 },
+    { key: 'CACHE_EXPIRY_MS', label: 'Cache expiry (days)', type: 'number', min: 0.01, max: 365, step: 1, scale: DAY_MS },
+    { key: 'MAX_CACHE_SIZE', label: 'Maximum cached entries', type: 'number', min: 10, max: 100000, step: 1, integer: true },
+    { key: 'MAX_CACHE_BYTES', label: 'Maximum cache size (MB)', type: 'number', min: 1, max: 2000, step: 1, scale: 1024 * 1024 },
+    { key: 'TAG_META_EXPIRY_MS', label: 'Tag info expiry (days)', type: 'number', min: 0.01, max: 365, step: 1, scale: DAY_MS },
+    {
+      key: 'TAG_PREVIEW',
+      label: 'Tag hover cards',
+      type: 'select',
+      options: () => [
+        ['on', 'On'],
+        ['off', 'Off']
+      ]
+    },
+    { key: 'TAG_PREVIEW_EXAMPLES', label: 'Tag hover cards: example posts', type: 'number', min: 0, max: 12, step: 1, integer: true },
+    { key: 'FRAME_COUNT', label: 'Frames per video/animation', type: 'number', min: 1, max: 16, step: 1, integer: true },
+    {
+      key: 'FRAME_AGGREGATION',
+      label: 'Frame aggregation',
+      type: 'select',
+      options: () => [
+        ['max', 'Highest confidence'],
+        ['mean', 'Average over all frames'],
+        ['min_frames', 'Present in at least N frames']
+      ]
+    },
+    { key: 'FRAME_MIN_COUNT', label: 'N for "at least N frames"', type: 'number', min: 1, max: 16, step: 1, integer: true },
+    { key: 'REQUEST_TIMEOUT_MS', label: 'Request timeout (seconds)', type: 'number', min: 1, max: 600, step: 1, scale: 1000 },
+    { key: 'DOWNLOAD_TIMEOUT_MS', label: 'Media download timeout (seconds)', type: 'number', min: 1, max: 3600, step: 1, scale: 1000 },
+    { key: 'MAX_RETRIES', label: 'Retries per request', type: 'number', min: 0, max: 10, step: 1, integer: true },
+    { key: 'RATE_LIMIT_PER_MINUTE', label: 'Tagger requests per minute', type: 'number', min: 1, max: 600, step: 1, integer: true },
+    { key: 'RATE_LIMIT_BURST', label: 'Tagger request burst', type: 'number', min: 1, max: 20, step: 1, integer: true },
+    { key: 'MAX_CONCURRENT_REQUESTS', label: 'Tagger requests at once (all tabs)', type: 'number', min: 1, max: 20, step: 1, integer: true },
+    {
+      key: 'PREPROCESS',
+      label: 'Preprocess uploads',
+      type: 'select',
+      options: () => [
+        ['on', 'On'],
+        ['off', 'Off (send the original file)']
+      ]
+    },
+    { key: 'PREPROCESS_MAX_SIZE', label: 'Preprocessing: longest side (px, 0 = model input size)', type: 'number', min: 0, max: 8192, step: 1, integer: true },
+    { key: 'PREPROCESS_BACKGROUND', label: 'Preprocessing: background for transparency', type: 'color' },
+    {
+      key: 'PREPROCESS_FORMAT',
+      label: 'Preprocessing: format',
+      type: 'select',
+      options: () => [
+        ['image/jpeg', 'JPEG'],
+        ['image/png', 'PNG']
+      ]
+    },
+    { key: 'BATCH_CONCURRENCY', label: 'Batch: parallel items', type: 'number', min: 1, max: 8, step: 1, integer: true },
+    { key: 'BATCH_MIN_CONFIDENCE', label: 'Batch: minimum confidence for missing tags', type: 'number', min: 0, max: 1, step: 0.01 },
+    { key: 'LEARN_TARGET_PRECISION', label: 'Learned thresholds: target precision (0-1)', type: 'number', min: 0.5, max: 1, step: 0.05 },
+    { key: 'LEARN_MIN_SAMPLES', label: 'Learned thresholds: minimum reviews', type: 'number', min: 1, max: 1000, step: 1, integer: true },
+    {
+      key: 'PRESELECT_LEARNED',
+      label: 'Pre-select suggestions',
+      type: 'select',
+      options: () => [
+        ['off', 'Off'],
+        ['on', 'Tags that clear their learned threshold']
+      ]
+    },
+    {
+      key: 'PRESELECT_RATING',
+      label: 'Pre-select rating',
+      type: 'select',
+      options: () => [
+        ['off', 'Off'],
+        ['empty', 'When no rating is selected'],
+        ['always', 'Always']
+      ]
+    },
+    { key: 'RATING_CONFIDENCE', label: 'Rating: warn above confidence (0-1)', type: 'number', min: 0, max: 1, step: 0.05 },
+    { key: 'KEY_NEXT', label: 'Key: next suggestion', type: 'key' },
+    { key: 'KEY_PREVIOUS', label: 'Key: previous suggestion', type: 'key' },
+    { key: 'KEY_TOGGLE', label: 'Key: toggle suggestion', type: 'key' },
+    { key: 'KEY_FOCUS_INPUT', label: 'Key: back to tag box', type: 'key' },
+    { key: 'KEY_FOCUS_COLUMN', label: 'Key: focus suggestions (page-wide)', type: 'key', global: true }
+  ];
+
+  const SETTINGS_DEFAULTS = Object.fromEntries(SETTINGS_FIELDS.map(field => [field.key, CONFIG[field.key]]));
+
+  class SettingsManager {
+    static listeners = new Set();
+
+    static siteId() {
+      return SiteAdapter.current().id;
+    }
+
+    static toDisplay(field, value) {
+      return field.scale ? +(value / field.scale).toFixed(4) : value;
+    }
+
+    // Validates a value in display units and returns it in CONFIG units
+    static validate(field, raw) {
+      if (field.type === 'key') {
+        const binding = KeyboardReview.normalize(String(raw));
+        if (!binding) {
+          throw new Error(`${field.label}: use a key like "j", "Space" or "Alt+l"`);
+        }
+        if (/^[0-9]$/.test(binding)) {
+          throw new Error(`${field.label}: number keys are reserved for accepting the top N tags`);
+        }
+        if (field.global && !/^(Ctrl|Alt|Meta)\+/.test(binding)) {
+          throw new Error(`${field.label}: needs Ctrl, Alt or Meta so it doesn't fire while typing`);
+        }
+        if (field.global && SiteAdapter.current().shortcuts.includes(binding)) {
+          throw new Error(`${field.label}: "${binding}" is a ${SiteAdapter.current().label} shortcut`);
+        }
+        return binding;
+      }
+
+      if (field.type === 'select') {
+        const allowed = field.options().map(([value]) => value);
+        if (!allowed.includes(raw)) {
+          throw new Error(`${field.label}: unknown option "${raw}"`);
+        }
+        return raw;
+      }
+
+      if (field.type === 'weights') {
+        try {
+          return EnsembleBackend.parseWeights(raw).map(entry => `${entry.id}=${entry.weight}`).join(', ');
+        } catch (error) {
+          throw new Error(`${field.label}: ${error.message}`);
+        }
+      }
+
+      if (field.type === 'color') {
+        const color = String(raw).trim().toLowerCase();
+        if (!/^#[0-9a-f]{6}$/.test(color)) {
+          throw new Error(`${field.label}: use a hex color like #ffffff`);
+        }
+        return color;
+      }
+
+      if (field.type === 'url') {
+        let url;
+        try {
+          url = new URL(String(raw).trim());
+        } catch (error) {
+          throw new Error(`${field.label}: not a valid URL`);
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          throw new Error(`${field.label}: only http and https are supported`);
+        }
+        return url.href;
+      }
+
+      const number = Number(raw);
+      if (raw === '' || !Number.isFinite(number)) {
+        throw new Error(`${field.label}: must be a number`);
+      }
+      if (field.integer && !Number.isInteger(number)) {
+        throw new Error(`${field.label}: must be a whole number`);
+      }
+      if (number < field.min || number > field.max) {
+        throw new Error(`${field.label}: must be between ${field.min} and ${field.max}`);
+      }
+      return field.scale ? Math.round(number * field.scale) : number;
+    }
+
+    // Drops unknown keys and values that no longer pass validation
+    static sanitize(values) {
+      const clean = {};
+      SETTINGS_FIELDS.forEach(field => {
+        if (values?.[field.key] === undefined) return;
+        try {
+          clean[field.key] = this.validate(field, this.toDisplay(field, values[field.key]));
+        } catch (error) {
+          console.warn(`LITD: Ignoring stored setting ${field.key}:`, error.message);
+        }
+      });
+      return clean;
+    }
+
+    static async read() {
+      try {
+        const stored = JSON.parse(await GM.getValue(SETTINGS_STORAGE_KEY, '{}'));
+        return {
+          global: this.sanitize(stored.global),
+          sites: Object.fromEntries(SITE_ADAPTERS.map(adapter => [adapter.id, this.sanitize(stored.sites?.[adapter.id])]))
+        };
+      } catch (error) {
+        console.warn('LITD: Failed to read settings:', error);
+        return { global: {}, sites: Object.fromEntries(SITE_ADAPTERS.map(adapter => [adapter.id, {}])) };
+      }
+    }
+
+    static async load() {
+      const stored = await this.read();
+      Object.assign(CONFIG, SETTINGS_DEFAULTS, stored.global, stored.sites[this.siteId()]);
+      return stored;
+    }
+
+    // scope is 'global' or 'site'; values are already validated
+    static async save(scope, values) {
+      const stored = await this.read();
+      if (scope === 'site') {
+        stored.sites[this.siteId()] = values;
+      } else {
+        stored.global = values;
+      }
+
+      await GM.setValue(SETTINGS_STORAGE_KEY, JSON.stringify(stored));
+      await this.load();
+      console.log(`LITD: Settings saved (${scope === 'site' ? this.siteId() : 'all sites'})`);
+
+      this.listeners.forEach(listener => {
+        try {
+          listener(CONFIG);
+        } catch (error) {
+          console.error('LITD: Settings listener failed:', error);
+        }
+      });
+    }
+
+    static onChange(listener) {
+      this.listeners.add(listener);
+    }
+  }
+
+  // Settings dialog, opened from the menu command or the column gear icon
+  class SettingsDialog {
+    static async open() {
+      document.getElementById('litd-settings')?.remove();
+
+      const stored = await SettingsManager.read();
+      const site = SettingsManager.siteId();
+
+      const dialog = document.createElement('dialog');
+      dialog.id = 'litd-settings';
+      dialog.className = 'card p-4';
+      dialog.style.maxWidth = '28rem';
+      dialog.innerHTML = `
+        <form class="space-y-2">
+          <h2>LITD Settings</h2>
+          <label class="flex items-center justify-between gap-2">
+            Apply to
+            <select name="scope">
+              <option value="global">All sites</option>
+              <option value="site">${SiteAdapter.current().label} only</option>
+            </select>
+          </label>
+          <div class="litd-settings-fields space-y-1"></div>
+          <div class="litd-settings-errors text-sm" style="color: #dc2626;"></div>
+          <div class="flex gap-2">
+            <button type="submit" class="button-primary">Save</button>
+            <button type="button" class="litd-settings-reset">Reset</button>
+            <button type="button" class="litd-settings-cancel">Cancel</button>
+          </div>
+        </form>`;
+
+      const form = dialog.querySelector('form');
+      const fieldsContainer = dialog.querySelector('.litd-settings-fields');
+      const errors = dialog.querySelector('.litd-settings-errors');
+
+      const render = () => {
+        errors.textContent = '';
+        fieldsContainer.innerHTML = '';
+        const scope = form.scope.value;
+        const values = scope === 'site' ? stored.sites[site] : stored.global;
+        const inherited = scope === 'site' ?
+          { ...SETTINGS_DEFAULTS, ...stored.global } :
+          SETTINGS_DEFAULTS;
+
+        SETTINGS_FIELDS.forEach(field => {
+          fieldsContainer.appendChild(this.createField(field, values[field.key], inherited[field.key]));
+        });
+      };
+
+      form.scope.addEventListener('change', render);
+
+      form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+
+        const values = {};
+        const problems = [];
+        SETTINGS_FIELDS.forEach(field => {
+          const raw = form.elements[field.key].value.trim();
+          if (raw === '') return; // Empty means inherit
+
+          try {
+            values[field.key] = SettingsManager.validate(field, raw);
+          } catch (error) {
+            problems.push(error.message);
+          }
+        });
+
+        if (problems.length > 0) {
+          RulesDialog.showErrors(errors, problems);
+          return;
+        }
+
+        await SettingsManager.save(form.scope.value, values);
+        dialog.close();
+      });
+
+      dialog.querySelector('.litd-settings-reset').addEventListener('click', () => {
+        form.querySelectorAll('.litd-settings-fields input, .litd-settings-fields select')
+          .forEach(input => { input.value = ''; });
+      });
+
+      dialog.querySelector('.litd-settings-cancel').addEventListener('click', () => dialog.close());
+      dialog.addEventListener('close', () => dialog.remove());
+
+      render();
+      document.body.appendChild(dialog);
+      dialog.showModal();
+    }
+
+    static createField(field, value, inheritedValue) {
+      const label = document.createElement('label');
+      label.className = 'flex items-center justify-between gap-2';
+      label.textContent = field.label;
+
+      let input;
+      if (field.type === 'select') {
+        input = document.createElement('select');
+        const inheritedLabel = field.options().find(([id]) => id === inheritedValue)?.[1] || inheritedValue;
+        input.innerHTML = `<option value="">Default (${inheritedLabel})</option>` +
+          field.options().map(([id, text]) => `<option value="${id}">${text}</option>`).join('');
+      } else {
+        input = document.createElement('input');
+        input.type = { url: 'url', number: 'number' }[field.type] || 'text';
+        if (field.type === 'number') {
+          input.min = field.min;
+          input.max = field.max;
+          input.step = field.integer ? 1 : 'any';
+        }
+        input.placeholder = String(SettingsManager.toDisplay(field, inheritedValue) ?? '');
+      }
+
+      input.name = field.key;
+      input.value = value === undefined ? '' : SettingsManager.toDisplay(field, value);
+      label.appendChild(input);
+      return label;
+    }
+  }
+
+  // User-defined tag rules, stored as text per site:
+  //   -tag          never suggest tag ("*" matches anything)
+  //   !tag          always list tag first
+  //   old -> new    rename a suggestion
+  //   x => y        also suggest y when x is present
+  //   w => -z       drop z when w is present
+  // "Present" means suggested or already on the post.
+  const RULES_STORAGE_KEY = 'litd_rules';
+
+  class TagRules {
+    static rules = TagRules.parse('').rules;
+
+    static pattern(name) {
+      if (!name.includes('*')) return tag => tag === name;
+
+      const escaped = name.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+      const regex = new RegExp(`^${escaped.join('.*')}$`);
+      return tag => regex.test(tag);
+    }
+
+    // Returns { rules, errors }; invalid lines are reported and skipped
+    static parse(text) {
+      const rules = { block: [], pin: [], rewrite: new Map(), also: [], suppress: [] };
+      const errors = [];
+      const isName = name => isSafeTagName(name) && !name.includes('*');
+      const isPattern = name => isSafeTagName(name);
+
+      text.split('\n').forEach((rawLine, index) => {
+        const line = rawLine.replace(/#.*/, '').trim();
+        if (!line) return;
+
+        const fail = message => errors.push(`Line ${index + 1}: ${message}`);
+        let match;
+
+        if ((match = line.match(/^(\S+)\s*=>\s*(-?)(\S+)$/))) {
+          const [, when, suppress, target] = match;
+          if (!isName(when)) return fail(`"${when}" must be a single tag`);
+          if (suppress) {
+            if (!isPattern(target)) return fail(`"${target}" is not a tag pattern`);
+            rules.suppress.push({ when, matches: this.pattern(target) });
+          } else {
+            if (!isName(target)) return fail(`"${target}" must be a single tag`);
+            rules.also.push({ when, add: target });
+          }
+        } else if ((match = line.match(/^(\S+)\s*->\s*(\S+)$/))) {
+          const [, from, to] = match;
+          if (!isName(from) || !isName(to)) return fail('rewrites need plain tag names');
+          rules.rewrite.set(from, to);
+        } else if ((match = line.match(/^-(\S+)$/))) {
+          if (!isPattern(match[1])) return fail(`"${match[1]}" is not a tag pattern`);
+          rules.block.push(this.pattern(match[1]));
+        } else if ((match = line.match(/^!(\S+)$/))) {
+          if (!isName(match[1])) return fail(`"${match[1]}" must be a single tag`);
+          rules.pin.push(match[1]);
+        } else {
+          fail(`can't read "${line}"`);
+        }
+      });
+
+      return { rules, errors };
+    }
+
+    static async readAll() {
+      try {
+        return JSON.parse(await GM.getValue(RULES_STORAGE_KEY, '{}'));
+      } catch (error) {
+        console.warn('LITD: Failed to read tag rules:', error);
+        return {};
+      }
+    }
+
+    static async readText() {
+      return (await this.readAll())[SettingsManager.siteId()] || '';
+    }
+
+    static async load() {
+      const { rules, errors } = this.parse(await this.readText());
+      errors.forEach(error => console.warn(`LITD: Ignoring tag rule, ${error}`));
+      this.rules = rules;
+    }
+
+    static async save(text) {
+      const { errors } = this.parse(text);
+      if (errors.length > 0) {
+        const error = new Error(ErrorTypes.RULES_ERROR);
+        error.details = errors;
+        throw error;
+      }
+
+      const stored = await this.readAll();
+      stored[SettingsManager.siteId()] = text;
+      await GM.setValue(RULES_STORAGE_KEY, JSON.stringify(stored));
+      await this.load();
+      console.log(`LITD: Tag rules saved (${SettingsManager.siteId()})`);
+    }
+
+    // Applies the rules to normalized tagger output. Tags added by a rule
+    // carry `rule` (why) and, if the tagger didn't suggest them, `ruleOnly`.
+    static apply(tags, currentTags, rules = this.rules) {
+      const byName = new Map();
+      tags.forEach(tag => {
+        const name = rules.rewrite.get(tag.name) || tag.name;
+        const existing = byName.get(name);
+        if (!existing || existing.confidence < tag.confidence) {
+          byName.set(name, name === tag.name ? tag : { ...tag, name, rule: `Rewritten from ${tag.name}` });
+        }
+      });
+
+      const present = new Set([...byName.keys(), ...currentTags]);
+      const sourceConfidence = name => byName.get(name)?.confidence ?? 1;
+
+      rules.also
+        .filter(({ when, add }) => present.has(when) && !byName.has(add))
+        .forEach(({ when, add }) => {
+          byName.set(add, { name: add, confidence: sourceConfidence(when), rule: `Suggested because of ${when}`, ruleOnly: true });
+        });
+
+      const suppressed = this.suppressor(present, rules);
+
+      rules.pin.forEach(name => {
+        const tag = byName.get(name);
+        byName.set(name, tag ?
+          { ...tag, pinned: true } :
+          { name, confidence: 1, pinned: true, rule: 'Pinned by rule', ruleOnly: true });
+      });
+
+      return Array.from(byName.values())
+        .filter(tag => tag.pinned || !suppressed(tag.name))
+        .sort((a, b) => Number(Boolean(b.pinned)) - Number(Boolean(a.pinned)) || b.confidence - a.confidence);
+    }
+
+    // present: names suggested or on the post, for conditional suppressions
+    static suppressor(present, rules) {
+      return name =>
+        rules.block.some(matches => matches(name)) ||
+        rules.suppress.some(({ when, matches }) => present.has(when) && when !== name && matches(name));
+    }
+
+    // Blocks and suppressions again after TagCanonicalizer, so a blocked tag
+    // can't come back as the name it is aliased to
+    static filterCanonical(canonical, rules = this.rules) {
+      const present = new Set([...canonical.tags.map(tag => tag.name), ...canonical.currentTags]);
+      const suppressed = this.suppressor(present, rules);
+      const tags = canonical.tags
+        .filter(tag => tag.pinned || !suppressed(tag.name))
+        .map(tag => ({ ...tag, implies: (tag.implies || []).filter(parent => !suppressed(parent.name)) }));
+
+      return { ...canonical, tags };
+    }
+  }
+
+  class RulesDialog {
+    // Problems quote the rule text, so they are set as text
+    static showErrors(container, problems) {
+      container.replaceChildren(...problems.map(problem => {
+        const line = document.createElement('div');
+        line.textContent = problem;
+        return line;
+      }));
+    }
+
+    static async open() {
+      document.getElementById('litd-rules')?.remove();
+
+      const site = SettingsManager.siteId();
+      const dialog = document.createElement('dialog');
+      dialog.id = 'litd-rules';
+      dialog.className = 'card p-4';
+      dialog.style.width = 'min(40rem, 90vw)';
+      dialog.innerHTML = `
+        <form class="space-y-2">
+          <h2>LITD Tag Rules (${SiteAdapter.current().label})</h2>
+          <pre class="text-xs text-muted">-tag          never suggest tag (* matches anything)
+!tag          always list tag first
+old -> new    rename a suggestion
+x => y        also suggest y when x is suggested or on the post
+w => -z       drop z when w is suggested or on the post
+# comment</pre>
+          <textarea name="rules" rows="12" class="w-full" spellcheck="false"></textarea>
+          <div class="litd-rules-errors text-sm" style="color: #dc2626;"></div>
+          <div class="flex flex-wrap items-center gap-2">
+            <button type="submit" class="button-primary">Save</button>
+            <button type="button" class="litd-rules-export">Export</button>
+            <label>Import <input type="file" class="litd-rules-import" accept="text/plain,.txt"></label>
+            <button type="button" class="litd-rules-cancel">Cancel</button>
+          </div>
+        </form>`;
+
+      const form = dialog.querySelector('form');
+      const textarea = form.elements.rules;
+      const errors = dialog.querySelector('.litd-rules-errors');
+      textarea.value = await TagRules.readText();
+
+      form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+
+        try {
+          await TagRules.save(textarea.value);
+          dialog.close();
+          LITDApp.applySettings();
+        } catch (error) {
+          this.showErrors(errors, error.details || [error.message]);
+        }
+      });
+
+      dialog.querySelector('.litd-rules-export').addEventListener('click', () => {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([textarea.value], { type: 'text/plain' }));
+        link.download = `litd-rules-${site}.txt`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+      });
+
+      // Imported rules replace the text box; nothing is stored until Save
+      dialog.querySelector('.litd-rules-import').addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        textarea.value = await file.text();
+        this.showErrors(errors, TagRules.parse(textarea.value).errors);
+      });
+
+      dialog.querySelector('.litd-rules-cancel').addEventListener('click', () => dialog.close());
+      dialog.addEventListener('close', () => dialog.remove());
+
+      document.body.appendChild(dialog);
+      dialog.showModal();
+    }
+  }
+
+  // Same-origin JSON API of the current site
+  class SiteApi {
+    static async getJson(path, params, signal) {
+      const response = await HttpClient.request({
+        method: 'GET',
+        url: `${location.origin}${path}?${new URLSearchParams(params)}`,
+        signal
+      });
+      return JSON.parse(response.responseText);
+    }
+
+    // Splits names into search params for `field`. *_comma searches split on
+    // commas, so names containing one are looked up by exact name.
+    static nameSearches(names, field) {
+      const searches = [];
+      const plainNames = names.filter(name => !name.includes(','));
+
+      for (let i = 0; i < plainNames.length; i += CONFIG.TAG_META_BATCH_SIZE) {
+        searches.push({ [`search[${field}_comma]`]: plainNames.slice(i, i + CONFIG.TAG_META_BATCH_SIZE).join(',') });
+      }
+      names.filter(name => name.includes(','))
+        .forEach(name => searches.push({ [`search[${field}]`]: name }));
+
+      return searches;
+    }
+
+    // Returns cached records for names and fetches the missing ones with
+    // fetchMissing. Failed lookups return what was cached; aborts are rethrown.
+    static async lookupCached(recordCache, names, fetchMissing, description) {
+      const records = await recordCache.getMany(names);
+      const missing = names.filter(name => !records.has(name));
+
+      if (missing.length === 0) return records;
+
+      try {
+        const fetched = await fetchMissing(missing);
+        await recordCache.setMany(fetched);
+        fetched.forEach(record => records.set(record.name, record));
+        console.log(`LITD: Resolved ${fetched.length} ${description} (${names.length - missing.length} from cache)`);
+      } catch (error) {
+        if (HttpClient.isAbort(error)) throw error;
+        console.warn(`LITD: ${description} lookup failed:`, error);
+      }
+
+      return records;
+    }
+  }
+
+  // Resolves tag category, post count and deprecation against the site's /tags.json
+  class TagInfoResolver {
+    // Pseudo tags from the tagger that are not real site tags
+    static isLookupable(name) {
+      return !name.startsWith('rating:');
+    }
+
+    static async resolve(names, signal) {
+      if (!SiteAdapter.current().hasTagApi) return new Map();
+
+      const lookupNames = [...new Set(names.filter(name => this.isLookupable(name)))];
+      return SiteApi.lookupCached(tagMetadataCache, lookupNames, missing => this.fetchTags(missing, signal), 'tags');
+    }
+
+    static async fetchTags(names, signal) {
+      const found = new Map();
+      for (const search of SiteApi.nameSearches(names, 'name')) {
+        const tags = await SiteApi.getJson('/tags.json', {
+          ...search,
+          limit: CONFIG.TAG_META_BATCH_SIZE,
+          only: 'name,category,post_count,is_deprecated'
+        }, signal);
+        tags.forEach(tag => found.set(tag.name, tag));
+      }
+
+      // Names the site doesn't know are cached too, so they aren't queried again
+      return names.map(name => {
+        const tag = found.get(name);
+        return tag ? {
+          name,
+          exists: true,
+          category: tag.category,
+          postCount: tag.post_count,
+          isDeprecated: Boolean(tag.is_deprecated)
+        } : {
+          name,
+          exists: false,
+          category: 0,
+          postCount: 0,
+          isDeprecated: false
+        };
+      });
+    }
+  }
+
+  // Active aliases and implications from /tag_aliases.json and /tag_implications.json
+  class TagRelationResolver {
+    static async fetchRelations(path, names, signal) {
+      const relations = [];
+      for (const search of SiteApi.nameSearches(names, 'antecedent_name')) {
+        relations.push(...await SiteApi.getJson(path, {
+          ...search,
+          'search[status]': 'active',
+          limit: 1000,
+          only: 'antecedent_name,consequent_name'
+        }, signal));
+      }
+      return relations;
+    }
+
+    // Returns a Map of aliased name -> canonical name
+    static async resolveAliases(names, signal) {
+      if (!SiteAdapter.current().hasTagApi) return new Map();
+
+      const lookupNames = [...new Set(names.filter(name => TagInfoResolver.isLookupable(name)))];
+      const records = await SiteApi.lookupCached(tagAliasCache, lookupNames, async (missing) => {
+        const aliases = await this.fetchRelations('/tag_aliases.json', missing, signal);
+        const consequents = new Map(aliases.map(alias => [alias.antecedent_name, alias.consequent_name]));
+        return missing.map(name => ({ name, consequent: consequents.get(name) || null }));
+      }, 'tag aliases');
+
+      const aliases = new Map();
+      records.forEach(record => {
+        if (record.consequent) aliases.set(record.name, record.consequent);
+      });
+      return aliases;
+    }
+
+    // Returns a Map of name -> Set of every tag it implies, following implication chains
+    static async resolveAncestors(names, signal) {
+      if (!SiteAdapter.current().hasTagApi) return new Map();
+
+      const parents = new Map();
+      let pending = [...new Set(names.filter(name => TagInfoResolver.isLookupable(name)))];
+
+      for (let depth = 0; depth < CONFIG.MAX_IMPLICATION_DEPTH && pending.length > 0; depth++) {
+        const records = await SiteApi.lookupCached(tagImplicationCache, pending, async (missing) => {
+          const implications = await this.fetchRelations('/tag_implications.json', missing, signal);
+          return missing.map(name => ({
+            name,
+            parents: implications
+              .filter(implication => implication.antecedent_name === name)
+              .map(implication => implication.consequent_name)
+          }));
+        }, 'tag implications');
+
+        pending.forEach(name => parents.set(name, records.get(name)?.parents || []));
+        pending = [...new Set(pending.flatMap(name => parents.get(name)))]
+          .filter(name => !parents.has(name));
+      }
+
+      const ancestors = new Map();
+      const collect = (name, seen) => {
+        (parents.get(name) || []).forEach(parent => {
+          if (seen.has(parent)) return;
+          seen.add(parent);
+          collect(parent, seen);
+        });
+        return seen;
+      };
+      names.forEach(name => ancestors.set(name, collect(name, new Set())));
+      return ancestors;
+    }
+  }
+
+  // Rewrites suggestions to canonical names and collapses implied parents
+  // under the suggested tag that implies them
+  class TagCanonicalizer {
+    static async canonicalize(tags, currentTags, signal) {
+      const aliases = await TagRelationResolver.resolveAliases([...tags.map(tag => tag.name), ...currentTags], signal);
+      const canonical = name => aliases.get(name) || name;
+
+      const merged = new Map();
+      tags.forEach(tag => {
+        const name = canonical(tag.name);
+        const existing = merged.get(name);
+        const aliasedFrom = [...(existing?.aliasedFrom || []), ...(name !== tag.name ? [tag.name] : [])];
+
+        if (!existing || existing.confidence < tag.confidence) {
+          merged.set(name, { ...tag, name, aliasedFrom });
+        } else {
+          existing.aliasedFrom = aliasedFrom;
+        }
+      });
+
+      const currentCanonical = [...new Set(currentTags.map(canonical))];
+      const ancestors = await TagRelationResolver.resolveAncestors([...merged.keys(), ...currentCanonical], signal);
+
+      // Each implied suggestion goes under the highest-confidence suggestion
+      // that implies it and isn't itself implied by another suggestion
+      const byConfidence = Array.from(merged.values()).sort((a, b) => b.confidence - a.confidence);
+      const implied = new Set(byConfidence.flatMap(tag => [...(ancestors.get(tag.name) || [])]));
+      const collapsedInto = new Map();
+      byConfidence
+        .filter(tag => !implied.has(tag.name))
+        .forEach(tag => {
+          ancestors.get(tag.name)?.forEach(parent => {
+            if (merged.has(parent) && !collapsedInto.has(parent)) {
+              collapsedInto.set(parent, tag.name);
+            }
+          });
+        });
+
+      const result = byConfidence
+        .filter(tag => !collapsedInto.has(tag.name))
+        .map(tag => ({
+          ...tag,
+          implies: byConfidence.filter(parent => collapsedInto.get(parent.name) === tag.name)
+        }));
+
+      const impliedByCurrent = this.impliedBy(currentCanonical, ancestors);
+      return { tags: result, currentTags: [...new Set([...currentTags, ...currentCanonical])], impliedByCurrent };
+    }
+
+    // Map of implied tag -> the first of `names` that implies it
+    static impliedBy(names, ancestors) {
+      const implied = new Map();
+      names.forEach(name => {
+        ancestors.get(name)?.forEach(parent => {
+          if (!implied.has(parent)) implied.set(parent, name);
+        });
+      });
+      return implied;
+    }
+  }
+
+  // Merges per-frame tag lists into one list. Each tag keeps how many frames
+  // supported it, and the aggregation decides its final confidence.
+  class FrameAggregator {
+    static aggregate(frameTagLists, method = CONFIG.FRAME_AGGREGATION) {
+      const totalFrames = frameTagLists.length;
+      const minFrames = Math.min(CONFIG.FRAME_MIN_COUNT, totalFrames);
+      const stats = new Map();
+
+      frameTagLists.forEach(tags => {
+        tags.forEach(tag => {
+          const entry = stats.get(tag.name) || { name: tag.name, max: 0, sum: 0, frames: 0, sources: null };
+          entry.max = Math.max(entry.max, tag.confidence);
+          entry.sum += tag.confidence;
+          entry.frames++;
+          // Ensemble scores: the highest per backend over all frames
+          Object.entries(tag.sources || {}).forEach(([id, confidence]) => {
+            entry.sources = entry.sources || {};
+            entry.sources[id] = Math.max(entry.sources[id] || 0, confidence);
+          });
+          stats.set(tag.name, entry);
+        });
+      });
+
+      const merged = Array.from(stats.values())
+        .filter(entry => method !== 'min_frames' || entry.frames >= minFrames)
+        .map(entry => ({
+          name: entry.name,
+          confidence: this.confidenceFor(entry, method, totalFrames),
+          frames: entry.frames,
+          totalFrames,
+          ...(entry.sources ? { sources: entry.sources } : {})
+        }));
+
+      return TaggerBackend.normalizeTags(merged);
+    }
+
+    static confidenceFor(entry, method, totalFrames) {
+      switch (method) {
+        case 'mean':
+          // Frames without the tag count as zero
+          return entry.sum / totalFrames;
+        case 'min_frames':
+          return entry.sum / entry.frames;
+        default:
+          return entry.max;
+      }
+    }
+  }
+
+  // Learns from which suggestions end up in the tag box when the form is
+  // submitted, and derives a confidence threshold per tag from that history
+  class TagFeedback {
+    // Suggestions shown on this page that weren't on the post already
+    static session = null;
+
+    static summarize(record) {
+      const sum = values => values.reduce((total, value) => total + value, 0);
+      const accepted = sum(record.accepted);
+      const reviews = accepted + sum(record.rejected);
+
+      return {
+        name: record.name,
+        accepted,
+        reviews,
+        precision: reviews ? accepted / reviews : 0,
+        threshold: this.thresholdFor(record, reviews)
+      };
+    }
+
+    // Lowest bucket edge above which enough suggestions were kept; 1 when
+    // the tag never gets there, null while there's too little data
+    static thresholdFor(record, reviews) {
+      if (reviews < CONFIG.LEARN_MIN_SAMPLES) return null;
+
+      let accepted = 0;
+      let total = 0;
+      let threshold = 1;
+      // Only buckets with reviews can lower the threshold
+      for (let bucket = CONFIG.LEARN_BUCKETS - 1; bucket >= 0; bucket--) {
+        const bucketTotal = (record.accepted[bucket] || 0) + (record.rejected[bucket] || 0);
+        accepted += record.accepted[bucket] || 0;
+        total += bucketTotal;
+        if (bucketTotal > 0 && accepted / total >= CONFIG.LEARN_TARGET_PRECISION) {
+          threshold = bucket / CONFIG.LEARN_BUCKETS;
+        }
+      }
+      return Math.max(threshold, CONFIG.TAG_THRESHOLD);
+    }
+
+    // Returns a Map of name -> summary for tags with enough reviews
+    static async learned(names) {
+      const records = await tagFeedbackStore.getMany(names);
+      const learned = new Map();
+      records.forEach((record, name) => {
+        const summary = this.summarize(record);
+        if (summary.threshold !== null) learned.set(name, summary);
+      });
+      return learned;
+    }
+
+    static effectiveThreshold(name, learned) {
+      return learned.get(name)?.threshold ?? CONFIG.TAG_THRESHOLD;
+    }
+
+    // Pinned tags first, then by how far each suggestion clears its own threshold
+    static rank(tags, learned) {
+      const margin = tag => tag.confidence - this.effectiveThreshold(tag.name, learned);
+      return [...tags].sort((a, b) => Boolean(b.pinned) - Boolean(a.pinned) || margin(b) - margin(a));
+    }
+
+    // preselected: names added for the user from learned thresholds. Their
+    // outcome says nothing about the model, so they aren't recorded.
+    static track(tags, { currentTags, impliedByCurrent }, preselected = []) {
+      this.session = {
+        suggestions: tags
+          .filter(tag => !tag.ruleOnly && !currentTags.includes(tag.name) && !impliedByCurrent.has(tag.name) &&
+            !preselected.includes(tag.name))
+          .map(tag => ({ name: tag.name, confidence: tag.confidence, aliasedFrom: tag.aliasedFrom || [] }))
+      };
+    }
+
+    // Capture phase, so it runs before Danbooru's own submit handling
+    static setupSubmitListener() {
+      document.addEventListener('submit', (event) => {
+        const input = SiteAdapter.current().findTagInput();
+        if (!this.session || !input || !event.target.contains?.(input)) return;
+        this.recordSession();
+      }, true);
+    }
+
+    static recordSession() {
+      const finalTags = new Set(TagManager.getCurrentTags().map(name => name.toLowerCase()));
+      const outcomes = this.session.suggestions.map(tag => ({
+        name: tag.name,
+        confidence: tag.confidence,
+        accepted: [tag.name, ...tag.aliasedFrom].some(name => finalTags.has(name))
+      }));
+      this.session = null;
+
+      console.log(`LITD: Recording ${outcomes.filter(outcome => outcome.accepted).length} of ${outcomes.length} suggestions as kept`);
+      return tagFeedbackStore.record(outcomes);
+    }
+  }
+
+  // Cache panel: stats, browsing, single deletes, re-analysis and export/import
+  class CacheDialog {
+    static formatAge(timestamp) {
+      const hours = (Date.now() - timestamp) / (1000 * 60 * 60);
+      return hours < 24 ? `${Math.floor(hours)}h` : `${Math.floor(hours / 24)}d`;
+    }
+
+    static histogramLabels() {
+      const edges = CONFIG.CACHE_AGE_BUCKETS_DAYS;
+      return [
+        `< ${edges[0]}d`,
+        ...edges.slice(1).map((edge, index) => `${edges[index]}-${edge}d`),
+        `${edges[edges.length - 1]}d+`
+      ];
+    }
+
+    static async open() {
+      document.getElementById('litd-cache-panel')?.remove();
+
+      const dialog = document.createElement('dialog');
+      dialog.id = 'litd-cache-panel';
+      dialog.className = 'card p-4';
+      dialog.style.width = 'min(48rem, 90vw)';
+      dialog.innerHTML = `
+        <div class="space-y-2">
+          <div class="flex items-center justify-between gap-2">
+            <h2>LITD Cache</h2>
+            <button type="button" class="litd-cache-close">Close</button>
+          </div>
+          <div class="litd-cache-stats text-sm"></div>
+          <div class="litd-cache-histogram text-xs space-y-1"></div>
+          <div class="flex flex-wrap items-center gap-2">
+            <button type="button" class="litd-cache-reanalyze">Re-analyze current post</button>
+            <button type="button" class="litd-cache-export">Export</button>
+            <label>
+              Import as
+              <select class="litd-cache-import-mode">
+                <option value="merge">merge</option>
+                <option value="replace">replace</option>
+              </select>
+            </label>
+            <input type="file" class="litd-cache-import" accept="application/json,.json">
+            <button type="button" class="litd-cache-clear">Clear all</button>
+          </div>
+          <div class="litd-cache-message text-sm"></div>
+          <input type="search" class="litd-cache-search w-full" placeholder="Search by key or tag">
+          <table class="striped autofit w-full">
+            <thead>
+              <tr><th>Key</th><th>Top tags</th><th>Age</th><th>Size</th><th></th></tr>
+            </thead>
+            <tbody class="litd-cache-rows"></tbody>
+          </table>
+          <button type="button" class="litd-cache-more">Show more</button>
+        </div>`;
+
+      const state = { search: '', offset: 0 };
+      const find = selector => dialog.querySelector(selector);
+      const showMessage = (text, isError = false) => {
+        find('.litd-cache-message').textContent = text;
+        find('.litd-cache-message').style.color = isError ? '#dc2626' : '';
+      };
+
+      const refreshStats = async () => {
+        const stats = await cacheManager.getStats();
+        find('.litd-cache-stats').textContent =
+          `${stats.entries} entries, ${stats.totalSizeKB}KB of ${Math.round(CONFIG.MAX_CACHE_BYTES / 1024 / 1024)}MB, oldest: ${stats.oldestEntryAge} days`;
+
+        const max = Math.max(1, ...stats.ageHistogram);
+        find('.litd-cache-histogram').innerHTML = this.histogramLabels().map((label, index) => `
+          <div class="flex items-center gap-2">
+            <span style="width: 4rem;">${label}</span>
+            <span class="litd-cache-bar" style="width: ${(stats.ageHistogram[index] || 0) / max * 60}%;"></span>
+            <span>${stats.ageHistogram[index] || 0}</span>
+          </div>`).join('');
+      };
+
+      const loadPage = async (reset) => {
+        if (reset) {
+          state.offset = 0;
+          find('.litd-cache-rows').innerHTML = '';
+        }
+
+        const { records, total } = await cacheManager.query({ search: state.search, offset: state.offset });
+        state.offset += records.length;
+
+        find('.litd-cache-rows').insertAdjacentHTML('beforeend', records.map(record => `
+          <tr data-key="${escapeHtml(record.key)}">
+            <td><code class="text-xs">${escapeHtml(record.key)}</code></td>
+            <td class="text-xs">${record.tags.slice(0, 5)
+              .map(tag => `${escapeHtml(tag.name)} ${TagManager.formatConfidence(tag.confidence)}`).join(', ')}</td>
+            <td>${this.formatAge(record.timestamp)}</td>
+            <td>${record.size || 0}B</td>
+            <td><button type="button" class="litd-cache-delete">Delete</button></td>
+          </tr>`).join(''));
+        find('.litd-cache-more').hidden = state.offset >= total;
+      };
+
+      let searchTimer = null;
+      find('.litd-cache-search').addEventListener('input', (event) => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+          state.search = event.target.value;
+          loadPage(true);
+        }, 250);
+      });
+
+      find('.litd-cache-more').addEventListener('click', () => loadPage(false));
+
+      find('.litd-cache-rows').addEventListener('click', async (event) => {
+        const row = event.target.closest('.litd-cache-delete')?.closest('tr');
+        if (!row) return;
+
+        await cacheManager.delete(row.dataset.key);
+        row.remove();
+        refreshStats();
+      });
+
+      find('.litd-cache-reanalyze').hidden = !SiteAdapter.current().findMedia();
+      find('.litd-cache-reanalyze').addEventListener('click', () => {
+        dialog.close();
+        LITDApp.reanalyze();
+      });
+
+      find('.litd-cache-export').addEventListener('click', async () => {
+        try {
+          const data = await cacheManager.exportData();
+          const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+          const link = document.createElement('a');
+          link.href = URL.createObjectURL(blob);
+          link.download = `litd-cache-${location.hostname}-${new Date().toISOString().slice(0, 10)}.json`;
+          link.click();
+          setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+          showMessage(`Exported ${data.entries.length} entries`);
+        } catch (error) {
+          console.error('LITD: Cache export failed:', error);
+          showMessage(ErrorTypes.CACHE_ERROR, true);
+        }
+      });
+
+      find('.litd-cache-import').addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        const mode = find('.litd-cache-import-mode').value;
+        if (mode === 'replace' && !confirm('Replace the whole LITD cache with this file?')) return;
+
+        try {
+          const { imported, skipped } = await cacheManager.importData(JSON.parse(await file.text()), mode);
+          showMessage(`Imported ${imported} entries, skipped ${skipped}`);
+          await refreshStats();
+          await loadPage(true);
+        } catch (error) {
+          console.error('LITD: Cache import failed:', error);
+          showMessage(error.message === ErrorTypes.IMPORT_ERROR ? error.message : ErrorTypes.PARSING_ERROR, true);
+        }
+      });
+
+      find('.litd-cache-clear').addEventListener('click', async () => {
+        if (!confirm('Delete all cached LITD results?')) return;
+
+        await cacheManager.clearAll();
+        showMessage('Cache cleared');
+        await refreshStats();
+        await loadPage(true);
+      });
+
+      find('.litd-cache-close').addEventListener('click', () => dialog.close());
+      dialog.addEventListener('close', () => dialog.remove());
+
+      document.body.appendChild(dialog);
+      dialog.showModal();
+
+      await refreshStats();
+      await loadPage(true);
+    }
+  }
+
+  // Best and worst performing tags according to the recorded feedback
+  class TagStatsDialog {
+    static createRows(summaries) {
+      if (summaries.length === 0) {
+        return '<tr><td colspan="5" class="text-muted">Nothing to show yet</td></tr>';
+      }
+
+      return summaries.map(summary => `
+        <tr>
+          <td>${escapeHtml(summary.name)}</td>
+          <td>${summary.reviews}</td>
+          <td>${summary.accepted}</td>
+          <td>${TagManager.formatConfidence(summary.precision)}</td>
+          <td>${summary.threshold < 1 ? TagManager.formatConfidence(summary.threshold) : 'never'}</td>
+        </tr>`).join('');
+    }
+
+    static createTable(title, summaries) {
+      return `
+        <h3>${title}</h3>
+        <table class="striped autofit w-full">
+          <thead>
+            <tr><th>Tag</th><th>Reviews</th><th>Kept</th><th>Precision</th><th>Threshold</th></tr>
+          </thead>
+          <tbody>${this.createRows(summaries)}</tbody>
+        </table>`;
+    }
+
+    static async open() {
+      document.getElementById('litd-stats-panel')?.remove();
+
+      const summaries = (await tagFeedbackStore.readAll()).map(record => TagFeedback.summarize(record));
+      const learned = summaries
+        .filter(summary => summary.threshold !== null)
+        .sort((a, b) => b.precision - a.precision || b.reviews - a.reviews);
+      const reviews = summaries.reduce((total, summary) => total + summary.reviews, 0);
+      const accepted = summaries.reduce((total, summary) => total + summary.accepted, 0);
+      const size = CONFIG.STATS_LIST_SIZE;
+
+      const dialog = document.createElement('dialog');
+      dialog.id = 'litd-stats-panel';
+      dialog.className = 'card p-4';
+      dialog.style.width = 'min(40rem, 90vw)';
+      dialog.innerHTML = `
+        <div class="space-y-2">
+          <div class="flex items-center justify-between gap-2">
+            <h2>LITD Tag Stats</h2>
+            <button type="button" class="litd-stats-close">Close</button>
+          </div>
+          <div class="text-sm">
+            ${summaries.length} tags, ${accepted} of ${reviews} suggestions kept
+            (${TagManager.formatConfidence(reviews ? accepted / reviews : 0)}),
+            ${learned.length} with a learned threshold
+          </div>
+          ${this.createTable('Best performing', learned.slice(0, size))}
+          ${this.createTable('Worst performing', learned.slice(Math.min(size, learned.length)).slice(-size).reverse())}
+          <button type="button" class="litd-stats-reset">Reset stats</button>
+        </div>`;
+
+      dialog.querySelector('.litd-stats-reset').addEventListener('click', async () => {
+        if (!confirm('Forget which LITD suggestions were kept?')) return;
+
+        await tagFeedbackStore.clearAll();
+        dialog.close();
+      });
+      dialog.querySelector('.litd-stats-close').addEventListener('click', () => dialog.close());
+      dialog.addEventListener('close', () => dialog.remove());
+
+      document.body.appendChild(dialog);
+      dialog.showModal();
+    }
+  }
 
   // Tag management
   class TagManager {
     static getCurrentTags() {
-      const textarea = document.querySelector(CONFIG.SELECTORS.TAG_INPUT);
+      const textarea = SiteAdapter.current().findTagInput();
       if (!textarea?.value) return [];
 
-      return textarea.value.trim()
-        .split(/\s+/)
-        .filter(Boolean);
+      return SiteAdapter.current().parseTags(textarea.value);
+    }
+
+    // Appends tags that aren't present yet, compared case-insensitively, and
+    // lets the site's listeners know
+    static addTags(names) {
+      const site = SiteAdapter.current();
+      const textarea = site.findTagInput();
+      if (!textarea) return [];
+
+      const currentTags = this.getCurrentTags();
+      const present = new Set(currentTags.map(name => name.toLowerCase()));
+      const added = [...new Set(names)].filter(name => !present.has(name.toLowerCase()));
+      if (added.length === 0) return added;
+
+      textarea.value = site.formatTags([...currentTags, ...added]);
+      site.notifyTagsChanged(textarea);
+      return added;
+    }
+
+    // Drops tags from the input, compared case-insensitively
+    static removeTags(names) {
+      const site = SiteAdapter.current();
+      const textarea = site.findTagInput();
+      if (!textarea) return [];
+
+      const removing = new Set(names.map(name => name.toLowerCase()));
+      const currentTags = this.getCurrentTags();
+      const removed = currentTags.filter(name => removing.has(name.toLowerCase()));
+      if (removed.length === 0) return removed;
+
+      textarea.value = site.formatTags(currentTags.filter(name => !removing.has(name.toLowerCase())));
+      site.notifyTagsChanged(textarea);
+      return removed;
+    }
+
+    static formatConfidence(confidence) {
+      return `${Math.round(confidence * 100)}%`;
+    }
+
+    // Same short form Danbooru uses for post counts
+    static formatPostCount(count) {
+      if (count >= 1000000) return `${+(count / 1000000).toFixed(1)}M`;
+      if (count >= 10000) return `${Math.round(count / 1000)}k`;
+      if (count >= 1000) return `${+(count / 1000).toFixed(1)}k`;
+      return String(count);
+    }
+
+    // context: { currentTags, tagInfo, impliedByCurrent, learned }
+    static processTags(tagDataArray, context, columnOptions) {
+      const tagItems = tagDataArray
+        .map(tag => this.createTagItemFromData(tag, context))
+        .join("");
+
+      return this.createTagColumn(tagItems, columnOptions);
+    }
+
+    // Per-backend scores of an ensemble suggestion
+    static describeSources(sources) {
+      if (!sources) return '';
+
+      const floor = `<${+(TaggerBackend.scoreFloor() * 100).toFixed(1)}%`;
+      const ids = new Set([
+        ...(TaggerBackend.current().isEnsemble ? TaggerBackend.current().members().map(member => member.backend.id) : []),
+        ...Object.keys(sources)
+      ]);
+      return [...ids]
+        .map(id => `${TAGGER_BACKENDS[id]?.label || id}: ${id in sources ? this.formatConfidence(sources[id]) : floor}`)
+        .join(', ');
+    }
+
+    static describeTagStatus(info) {
+      if (!info) return null;
+      if (!info.exists) return 'Tag does not exist on this site';
+      if (info.isDeprecated) return 'Deprecated tag';
+      if (info.postCount === 0) return 'Tag has no posts';
+      return null;
+    }
+
+    static createImpliedSummary(tagData) {
+      if (!tagData.implies?.length) return '';
+
+      const list = tagData.implies
+        .map(parent => `${parent.name} ${this.formatConfidence(parent.confidence)}`)
+        .join(', ');
+      return `<span class="litd-implies text-muted text-xs" title="Also implies: ${escapeHtml(list)}">+${tagData.implies.length}</span>`;
+    }
+
+    static describeLearned(summary) {
+      if (!summary) return '';
+      const threshold = summary.threshold < 1 ? this.formatConfidence(summary.threshold) : 'never';
+      return `title="Learned threshold: ${threshold} (${summary.accepted} of ${summary.reviews} kept)"`;
+    }
+
+    // Region columns pass wholeImage (name -> confidence) to mark what the
+    // whole-image pass missed
+    static describeRegionFind(tagData, threshold, wholeImage) {
+      if (!wholeImage) return '';
+
+      const wholeConfidence = wholeImage.get(tagData.name);
+      if (wholeConfidence >= threshold) return '';
+
+      const title = wholeConfidence === undefined ?
+        'Not found in the whole image' :
+        `Only ${this.formatConfidence(wholeConfidence)} in the whole image`;
+      return `<span class="litd-region-new text-xs" title="${title}">new</span>`;
+    }
+
+    static createTagItemFromData(tagData, { currentTags, tagInfo = new Map(), impliedByCurrent = new Map(), learned = new Map(), wholeImage = null }) {
+      const info = tagInfo.get(tagData.name);
+      const threshold = TagFeedback.effectiveThreshold(tagData.name, learned);
+      const isChecked = currentTags.includes(tagData.name);
+      const impliedBy = isChecked ? null : impliedByCurrent.get(tagData.name);
+      const category = info?.exists ? info.category : 0;
+      const infoStatus = this.describeTagStatus(info);
+      const status = impliedBy ? `Already implied by ${impliedBy}` : infoStatus;
+      const postCount = info?.exists ?
+        `<span class="post-count text-xs">${this.formatPostCount(info.postCount)}</span>` :
+        '';
+      const classes = [
+        'flex items-center gap-1 w-fit leading-none',
+        isChecked ? 'litd-tag-present' : '',
+        impliedBy ? 'litd-tag-implied' : '',
+        !impliedBy && status ? 'litd-tag-flagged' : '',
+        tagData.confidence < threshold ? 'litd-tag-below-threshold' : ''
+      ].filter(Boolean).join(' ');
+      const linkTitle = [
+        tagData.aliasedFrom?.length ? `Suggested as ${tagData.aliasedFrom.join(', ')}` : '',
+        tagData.rule || '',
+        this.describeSources(tagData.sources)
+      ].filter(Boolean).join('; ');
+
+      return `
+        <li class="${classes}"
+            data-tag-name="${escapeHtml(tagData.name)}"
+            data-confidence="${tagData.confidence}"
+            data-threshold="${threshold}"
+            ${tagData.pinned ? 'data-pinned="true"' : ''}
+            data-category="${category}"
+            ${tagData.aliasedFrom?.length ? `data-aliased-from="${escapeHtml(tagData.aliasedFrom.join(' '))}"` : ''}
+            ${infoStatus ? `data-status="${escapeHtml(infoStatus)}"` : ''}
+            ${status ? `title="${escapeHtml(status)}"` : ''}>
+          <input type="checkbox" tabindex="-1" ${isChecked ? 'checked' : ''} ${impliedBy ? 'disabled' : ''}>
+          <span class="related-tag">
+            <a class="tag-type-${category}"
+               data-tag-name="${escapeHtml(tagData.name)}"
+               href="${escapeHtml(SiteAdapter.current().searchUrl(tagData.name))}"
+               ${linkTitle ? `title="${escapeHtml(linkTitle)}"` : ''}>
+              ${tagData.pinned ? '&#128204;' : ''}${escapeHtml(tagData.name)}
+              <span class="text-muted text-xs" ${this.describeLearned(learned.get(tagData.name))}>${tagData.ruleOnly ? 'rule' : this.formatConfidence(tagData.confidence)}</span>
+            </a>
+            ${tagData.totalFrames > 1 ?
+              `<span class="text-muted text-xs" title="Found in ${tagData.frames} of ${tagData.totalFrames} frames">${tagData.frames}/${tagData.totalFrames}</span>` :
+              ''}
+            ${postCount}
+            ${this.createImpliedSummary(tagData)}
+            ${this.describeRegionFind(tagData, threshold, wholeImage)}
+            ${!impliedBy && status ? '<span class="litd-tag-warning text-xs">&#9888;</span>' : ''}
+          </span>
+          <span class="litd-confidence-track">
+            <span class="litd-confidence-fill" style="width: ${Math.round(tagData.confidence * 100)}%;"></span>
+          </span>
+        </li>`;
+    }
+
+    static createHeaderLinks() {
+      return `
+        <span class="flex gap-1">
+          ${RegionTagger.isAvailable() ? '<a href="#" class="litd-region-link" title="Tag a region">&#9986;</a>' : ''}
+          <a href="#" class="litd-rules-link" title="LITD tag rules">&#128221;</a>
+          <a href="#" class="litd-stats-link" title="LITD tag stats">&#128202;</a>
+          <a href="#" class="litd-cache-link" title="LITD cache">&#128452;</a>
+          <a href="#" class="litd-settings-link" title="LITD settings">&#9881;</a>
+        </span>`;
+    }
+
+    static createTagColumn(tagItems, { title = 'Suggested Tags', className = '', headerLinks = this.createHeaderLinks() } = {}) {
+      return `
+        <div class="tag-column litd-tag-column ${className} card p-2 h-fit space-y-1">
+          <h3 class="flex items-center justify-between gap-2">
+            ${title}
+            ${headerLinks}
+          </h3>
+          ${TagColumnControls.createControls()}
+          <ul class="tag-list">${tagItems}</ul>
+        </div>`;
+    }
+  }
+
+  // Live filtering, sorting and bulk adding for the Suggested Tags column.
+  // Works on the rendered items, so nothing is requested again.
+  class TagColumnControls {
+    // Danbooru lists artists, copyrights and characters before general and meta tags
+    static CATEGORY_ORDER = [1, 3, 4, 0, 5];
+
+    static createControls() {
+      const threshold = Math.round(CONFIG.TAG_THRESHOLD * 100);
+
+      return `
+        <div class="litd-controls space-y-1 text-xs">
+          <label class="flex items-center gap-1">
+            <input type="range" class="litd-filter-confidence" min="0" max="100" step="1" value="${threshold}">
+            <span class="litd-filter-confidence-value">${threshold}%</span>
+          </label>
+          <div class="flex items-center gap-1">
+            <input type="search" class="litd-filter-text" placeholder="Filter" size="10">
+            <select class="litd-sort">
+              <option value="relevance">Relevance</option>
+              <option value="confidence">Confidence</option>
+              <option value="name">Name</option>
+              <option value="category">Category</option>
+            </select>
+          </div>
+          <button type="button" class="litd-add-above">Add all &ge; ${threshold}%</button>
+        </div>`;
+    }
+
+    static attach(column) {
+      if (!column) return;
+
+      const slider = column.querySelector('.litd-filter-confidence');
+      const text = column.querySelector('.litd-filter-text');
+      const sort = column.querySelector('.litd-sort');
+      const addButton = column.querySelector('.litd-add-above');
+
+      slider.addEventListener('input', () => {
+        column.querySelector('.litd-filter-confidence-value').textContent = `${slider.value}%`;
+        addButton.textContent = `Add all \u2265 ${slider.value}%`;
+        this.applyFilters(column);
+      });
+      text.addEventListener('input', () => this.applyFilters(column));
+      sort.addEventListener('change', () => this.applySort(column, sort.value));
+      addButton.addEventListener('click', () => this.addVisible(column));
+      const list = column.querySelector('.tag-list');
+      list.addEventListener('change', (event) => {
+        const item = event.target.closest('li');
+        if (!item?.dataset.tagName) return;
+        TagSync.toggle(item, event.target.checked);
+        LITDEvents.emit('tag-toggled', { name: item.dataset.tagName, checked: event.target.checked });
+      });
+      // LITD edits the tag box itself, so the site's related-tag handlers
+      // must not toggle the same tag a second time
+      list.addEventListener('click', (event) => {
+        event.stopPropagation();
+        const link = event.target.closest('.related-tag a');
+        if (!link || event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey) return;
+
+        event.preventDefault();
+        const checkbox = link.closest('li').querySelector('input[type="checkbox"]');
+        if (checkbox && !checkbox.disabled) checkbox.click();
+      });
+      list.addEventListener('change', event => event.stopPropagation());
+
+      this.applyFilters(column);
+      TagSync.watch();
+    }
+
+    static items(column) {
+      return Array.from(column.querySelectorAll('.tag-list > li'));
+    }
+
+    // Swaps in the items of a re-rendered column (columnHtml), keeping the
+    // filter, sort order and keyboard focus of the column on the page
+    static replaceItems(column, columnHtml) {
+      const template = document.createElement('template');
+      template.innerHTML = columnHtml;
+      const activeName = KeyboardReview.activeItem(column)?.dataset.tagName;
+      const list = column.querySelector('.tag-list');
+      const hadFocus = list.contains(document.activeElement);
+
+      list.replaceChildren(...template.content.querySelector('.tag-list').children);
+      this.applyFilters(column);
+      this.applySort(column, column.querySelector('.litd-sort').value);
+      TagSync.sync();
+
+      const item = this.items(column).find(other => other.dataset.tagName === activeName) ||
+        this.items(column).find(other => !other.hidden);
+      if (hadFocus) {
+        KeyboardReview.focusItem(column, item);
+      } else {
+        KeyboardReview.setRovingItem(column, item);
+      }
+    }
+
+    static applyFilters(column) {
+      const minConfidence = Number(column.querySelector('.litd-filter-confidence').value) / 100;
+      const needle = column.querySelector('.litd-filter-text').value.trim().toLowerCase().replace(/\s+/g, '_');
+
+      this.items(column).forEach(item => {
+        const visible = (item.dataset.pinned || Number(item.dataset.confidence) >= minConfidence) &&
+          (!needle || item.dataset.tagName.toLowerCase().includes(needle));
+        item.hidden = !visible;
+      });
+    }
+
+    static applySort(column, order) {
+      const list = column.querySelector('.tag-list');
+      const categoryRank = item => {
+        const rank = this.CATEGORY_ORDER.indexOf(Number(item.dataset.category));
+        return rank === -1 ? this.CATEGORY_ORDER.length : rank;
+      };
+      const byConfidence = (a, b) => Number(b.dataset.confidence) - Number(a.dataset.confidence);
+      const margin = item => Number(item.dataset.confidence) - Number(item.dataset.threshold);
+
+      const comparators = {
+        relevance: (a, b) => margin(b) - margin(a),
+        confidence: byConfidence,
+        name: (a, b) => a.dataset.tagName.localeCompare(b.dataset.tagName),
+        category: (a, b) => categoryRank(a) - categoryRank(b) || byConfidence(a, b)
+      };
+
+      const compare = comparators[order] || comparators.relevance;
+      this.items(column)
+        .sort((a, b) => Boolean(b.dataset.pinned) - Boolean(a.dataset.pinned) || compare(a, b))
+        .forEach(item => list.appendChild(item));
+    }
+
+    // Visible items that can still be selected, in display order
+    static selectableItems(column) {
+      return this.items(column).filter(item =>
+        !item.hidden && !item.querySelector('input[type="checkbox"]')?.disabled);
+    }
+
+    static addItems(items) {
+      const unchecked = items.filter(item => !item.querySelector('input[type="checkbox"]')?.checked);
+      const added = TagManager.addTags(unchecked.map(item => item.dataset.tagName));
+      unchecked.forEach(item => {
+        const checkbox = item.querySelector('input[type="checkbox"]');
+        if (checkbox) checkbox.checked = true;
+        LITDEvents.emit('tag-toggled', { name: item.dataset.tagName, checked: true });
+      });
+      console.log(`LITD: Added ${added.length} suggested tags`);
+    }
+
+    // Adds every visible, selectable item at or above the slider value
+    static addVisible(column) {
+      this.addItems(this.selectableItems(column));
+    }
+  }
+
+  // LITD owns the suggestion checkboxes: they follow the tag box while it is
+  // edited by typing, by the site's related tags or by other scripts, and
+  // toggling one edits the tag box. Matching ignores case and knows aliases.
+  class TagSync {
+    static aliases = new Map(); // typed name -> canonical name
+    static impliedByCurrent = new Map();
+    static resolvedKey = null;
+    static resolveToken = 0; // Only the latest resolve() applies its result
+    static pollTimer = null;
+
+    static watch() {
+      this.sync();
+      this.scheduleResolve();
+      this.startPolling();
+      if (this.watching) return;
+      this.watching = true;
+
+      const onEdit = (event) => {
+        if (event.target !== SiteAdapter.current().findTagInput()) return;
+        this.sync();
+        this.scheduleResolve();
+      };
+      document.addEventListener('input', onEdit);
+      document.addEventListener('change', onEdit);
+    }
+
+    // Scripts that set the value directly don't fire any event. Polls while
+    // a column (the page's or the region's) is there to keep in sync.
+    static startPolling() {
+      if (this.pollTimer) return;
+
+      this.pollTimer = setInterval(() => {
+        if (!document.querySelector('.litd-tag-column')) {
+          clearInterval(this.pollTimer);
+          this.pollTimer = null;
+          return;
+        }
+
+        const value = SiteAdapter.current().findTagInput()?.value ?? null;
+        if (value === this.lastValue) return;
+        this.sync();
+        this.scheduleResolve();
+      }, CONFIG.TAG_SYNC_POLL_MS);
+    }
+
+    // Names in the tag box, lower-cased
+    static currentTags() {
+      return TagManager.getCurrentTags().map(name => name.toLowerCase());
+    }
+
+    // Leaves out the word that is still being typed
+    static finishedTags() {
+      const input = SiteAdapter.current().findTagInput();
+      const names = this.currentTags();
+      return input && !/[\s,]$/.test(input.value) ? names.slice(0, -1) : names;
+    }
+
+    static present() {
+      const present = new Set();
+      this.currentTags().forEach(name => {
+        present.add(name);
+        if (this.aliases.has(name)) present.add(this.aliases.get(name).toLowerCase());
+      });
+      return present;
+    }
+
+    static itemNames(item) {
+      return [item.dataset.tagName, ...(item.dataset.aliasedFrom || '').split(' ').filter(Boolean)]
+        .map(name => name.toLowerCase());
+    }
+
+    // Updates the page's column and the region column from the tag box
+    static sync() {
+      this.lastValue = SiteAdapter.current().findTagInput()?.value ?? null;
+      const present = this.present();
+
+      document.querySelectorAll('.litd-tag-column .tag-list > li').forEach(item => {
+        const isPresent = this.itemNames(item).some(name => present.has(name));
+        const impliedBy = isPresent ? null : this.impliedByCurrent.get(item.dataset.tagName);
+        const checkbox = item.querySelector('input[type="checkbox"]');
+        if (checkbox) {
+          checkbox.checked = isPresent;
+          checkbox.disabled = Boolean(impliedBy);
+        }
+
+        item.classList.toggle('litd-tag-present', isPresent);
+        item.classList.toggle('litd-tag-implied', Boolean(impliedBy));
+        item.classList.toggle('litd-tag-flagged', !impliedBy && Boolean(item.dataset.status));
+        const title = impliedBy ? `Already implied by ${impliedBy}` : item.dataset.status;
+        if (title) {
+          item.title = title;
+        } else {
+          item.removeAttribute('title');
+        }
+      });
+    }
+
+    static scheduleResolve() {
+      clearTimeout(this.resolveTimer);
+      this.resolveTimer = setTimeout(() => this.resolve(), CONFIG.TAG_SYNC_RESOLVE_DELAY_MS);
+    }
+
+    // Aliases and implications of the finished tags, usually from the cache
+    static async resolve() {
+      const names = this.finishedTags().filter(name => TagInfoResolver.isLookupable(name));
+      const key = names.join(' ');
+      const token = ++this.resolveToken;
+      if (key === this.resolvedKey) return;
+
+      try {
+        const aliases = await TagRelationResolver.resolveAliases(names);
+        const canonical = [...new Set(names.map(name => aliases.get(name) || name))];
+        const ancestors = await TagRelationResolver.resolveAncestors(canonical);
+        // A later edit started its own lookup
+        if (token !== this.resolveToken) return;
+
+        this.aliases = aliases;
+        this.impliedByCurrent = TagCanonicalizer.impliedBy(canonical, ancestors);
+        this.resolvedKey = key;
+        this.sync();
+      } catch (error) {
+        console.warn('LITD: Tag sync lookup failed:', error);
+      }
+    }
+
+    // Adds the suggestion, or removes it with every alias it was typed as
+    static toggle(item, checked) {
+      const name = item.dataset.tagName;
+      if (checked) {
+        TagManager.addTags([name]);
+        return;
+      }
+
+      const lower = name.toLowerCase();
+      const typedAliases = [...this.aliases]
+        .filter(([, canonical]) => canonical.toLowerCase() === lower)
+        .map(([typed]) => typed);
+      TagManager.removeTags([...this.itemNames(item), ...typedAliases]);
+    }
+  }
+
+  // Hover card for suggested tags with the first paragraph of the tag's
+  // wiki, its category and post count and a few example posts. Fetched on
+  // the first hover and cached like the other tag records.
+  class TagPreview {
+    static CATEGORY_NAMES = { 0: 'General', 1: 'Artist', 3: 'Copyright', 4: 'Character', 5: 'Meta' };
+    static card = null;
+    static link = null;
+    static showTimer = null;
+    static hideTimer = null;
+
+    static setup() {
+      if (!SiteAdapter.current().hasTagApi) return;
+
+      document.addEventListener('mouseover', (event) => {
+        if (CONFIG.TAG_PREVIEW !== 'on') return;
+        if (this.card?.contains(event.target)) {
+          clearTimeout(this.hideTimer);
+          return;
+        }
+
+        const link = this.linkFor(event.target);
+        if (!link) return;
+        clearTimeout(this.hideTimer);
+        if (link === this.link) return;
+
+        clearTimeout(this.showTimer);
+        this.showTimer = setTimeout(() => this.show(link), CONFIG.TAG_PREVIEW_DELAY_MS);
+      });
+
+      // The card stays open while the pointer moves from the tag into it
+      document.addEventListener('mouseout', (event) => {
+        const left = this.linkFor(event.target) || (this.card?.contains(event.target) ? this.card : null);
+        if (!left || left.contains(event.relatedTarget)) return;
+
+        clearTimeout(this.showTimer);
+        this.hideTimer = setTimeout(() => this.hide(), CONFIG.TAG_PREVIEW_HIDE_DELAY_MS);
+      });
+    }
+
+    // The tag's own link in a suggestion or removal row
+    static linkFor(target) {
+      const link = target?.closest?.('.litd-tag-column li[data-tag-name] a');
+      return link && link === link.closest('li').querySelector('a') ? link : null;
+    }
+
+    static async show(link) {
+      const name = link.closest('li').dataset.tagName;
+      this.hide();
+
+      const card = document.createElement('div');
+      card.className = 'litd-tag-preview card p-2';
+      card.innerHTML = '<div class="text-muted text-xs">Loading...</div>';
+      this.card = card;
+      this.link = link;
+      this.place(card, link);
+
+      try {
+        const [preview, tagInfo] = await Promise.all([this.lookup(name), TagInfoResolver.resolve([name])]);
+        if (this.card === card) {
+          this.render(card, name, preview, tagInfo.get(name));
+        }
+      } catch (error) {
+        console.warn(`LITD: Hover card for ${name} failed:`, error);
+        if (this.card === card) {
+          card.innerHTML = '<div class="text-xs" style="color: #dc2626;">Couldn\'t load the wiki page.</div>';
+        }
+      }
+    }
+
+    static hide() {
+      this.card?.remove();
+      this.card = null;
+      this.link = null;
+    }
+
+    // Below the tag, kept inside the viewport horizontally
+    static place(card, link) {
+      const rect = link.getBoundingClientRect();
+      document.body.appendChild(card);
+      const maxLeft = document.documentElement.clientWidth - card.offsetWidth;
+      card.style.left = `${Math.max(0, Math.min(rect.left, maxLeft)) + window.scrollX}px`;
+      card.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    }
+
+    // Unlike SiteApi.lookupCached, a failed request is thrown, so the card
+    // doesn't claim there is no wiki page. Records with another number of
+    // examples than TAG_PREVIEW_EXAMPLES are fetched again.
+    static async lookup(name) {
+      if (!TagInfoResolver.isLookupable(name)) return null;
+
+      const cached = (await tagPreviewCache.getMany([name])).get(name);
+      if (cached?.exampleCount === CONFIG.TAG_PREVIEW_EXAMPLES) return cached;
+
+      const preview = await this.fetchPreview(name);
+      await tagPreviewCache.setMany([preview]);
+      return preview;
+    }
+
+    static async fetchPreview(name) {
+      const exampleSearch = `${name} ${CONFIG.TAG_PREVIEW_EXAMPLE_SEARCH}`.trim();
+      const [pages, posts] = await Promise.all([
+        SiteApi.getJson('/wiki_pages.json', {
+          'search[title]': name,
+          'search[is_deleted]': 'false',
+          limit: 1,
+          only: 'title,body'
+        }),
+        CONFIG.TAG_PREVIEW_EXAMPLES > 0 ?
+          SiteApi.getJson('/posts.json', { tags: exampleSearch, limit: CONFIG.TAG_PREVIEW_EXAMPLES, only: 'id,preview_file_url' }) :
+          []
+      ]);
+
+      return {
+        name,
+        exampleCount: CONFIG.TAG_PREVIEW_EXAMPLES,
+        summary: pages[0] ? this.summarize(pages[0].body) : null,
+        examples: posts
+          .filter(post => post.preview_file_url)
+          .map(post => ({ id: post.id, thumbnailUrl: post.preview_file_url }))
+      };
+    }
+
+    // First paragraph of a DText wiki body as plain text, skipping headings
+    // and other block markup
+    static summarize(body) {
+      const paragraph = (body || '').split(/\r?\n\s*\r?\n/)
+        .map(block => block.trim())
+        .find(block => block && !/^(h\d\.|\[(expand|quote|table|tn)\b|\* )/i.test(block));
+      if (!paragraph) return null;
+
+      const text = paragraph
+        .replace(/\[\[([^\]|]+)\|([^\]]*)\]\]/g, (match, target, label) => label || target)
+        .replace(/\[\[([^\]]+)\]\]/g, (match, target) => target.replace(/_/g, ' '))
+        .replace(/\{\{([^}]+)\}\}/g, '$1')
+        .replace(/"([^"]+)":\[?[^\s\]]+\]?/g, '$1')
+        .replace(/\[\/?[a-z]+(=[^\]]*)?\]/gi, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+      const limit = CONFIG.TAG_PREVIEW_SUMMARY_LENGTH;
+      return text.length > limit ? `${text.slice(0, limit - 1).trimEnd()}…` : text;
+    }
+
+    // Wiki text comes from other users, so it's only ever set as text
+    static render(card, name, preview, info) {
+      const category = info?.exists ? this.CATEGORY_NAMES[info.category] || 'General' : null;
+      card.innerHTML = `
+        <div class="flex items-center justify-between gap-2">
+          <a class="litd-tag-preview-title tag-type-${info?.category || 0}" href="/wiki_pages/${encodeURIComponent(name)}"></a>
+          <span class="litd-tag-preview-meta text-muted text-xs"></span>
+        </div>
+        <p class="litd-tag-preview-summary text-xs"></p>
+        <div class="litd-tag-preview-examples"></div>
+      `;
+
+      card.querySelector('.litd-tag-preview-title').textContent = name.replace(/_/g, ' ');
+      card.querySelector('.litd-tag-preview-meta').textContent = category ?
+        `${category} · ${TagManager.formatPostCount(info.postCount)} posts` :
+        'Not a tag on this site';
+
+      const summary = card.querySelector('.litd-tag-preview-summary');
+      summary.textContent = preview?.summary || 'No wiki page yet.';
+      summary.classList.toggle('text-muted', !preview?.summary);
+
+      const examples = card.querySelector('.litd-tag-preview-examples');
+      (preview?.examples || []).forEach(({ id, thumbnailUrl }) => {
+        const postLink = document.createElement('a');
+        postLink.href = `/posts/${id}`;
+        const thumbnail = document.createElement('img');
+        thumbnail.src = thumbnailUrl;
+        thumbnail.alt = `post #${id}`;
+        thumbnail.loading = 'lazy';
+        postLink.appendChild(thumbnail);
+        examples.appendChild(postLink);
+      });
+    }
+  }
+
+  // Keyboard review of the Suggested Tags column. Keys are handled on the
+  // column itself, so they never reach Danbooru's page-wide shortcuts.
+  class KeyboardReview {
+    // Canonical form: [Ctrl+][Alt+][Shift+][Meta+]key, single characters in lower case
+    static normalize(binding) {
+      const match = binding.trim().match(/^((?:(?:ctrl|alt|shift|meta)\+)*)(.+)$/i);
+      if (!match) return null;
+
+      const modifiers = match[1].toLowerCase();
+      let key = match[2];
+      if (key === ' ' || key.toLowerCase() === 'space') key = 'Space';
+      else if (key.length === 1) key = key.toLowerCase();
+      else if (!/^[A-Z][A-Za-z0-9]+$/.test(key)) return null;
+
+      return [
+        modifiers.includes('ctrl+') ? 'Ctrl' : '',
+        modifiers.includes('alt+') ? 'Alt' : '',
+        modifiers.includes('shift+') ? 'Shift' : '',
+        modifiers.includes('meta+') ? 'Meta' : '',
+        key
+      ].filter(Boolean).join('+');
+    }
+
+    static describe(event) {
+      // Alt and Shift change event.key on some layouts, fall back to the physical key
+      let key = event.key;
+      if ((event.altKey || event.shiftKey) && /^Key[A-Z]$/.test(event.code)) {
+        key = event.code.slice(3);
+      }
+      // Shift is implied by symbols like "?", only spell it out for letters and named keys
+      const shift = event.shiftKey && (key.length > 1 || /^[a-z]$/i.test(key));
+
+      return this.normalize([
+        event.ctrlKey ? 'Ctrl+' : '',
+        event.altKey ? 'Alt+' : '',
+        shift ? 'Shift+' : '',
+        event.metaKey ? 'Meta+' : '',
+        key === ' ' ? 'Space' : key
+      ].join(''));
+    }
+
+    static setupGlobal() {
+      document.addEventListener('keydown', (event) => {
+        if (this.describe(event) !== CONFIG.KEY_FOCUS_COLUMN) return;
+
+        const column = document.querySelector(CONFIG.SELECTORS.MAIN_COLUMN);
+        if (!column) return;
+
+        event.preventDefault();
+        this.focusItem(column, this.activeItem(column) || TagColumnControls.selectableItems(column)[0]);
+      });
+    }
+
+    static attach(column) {
+      if (!column) return;
+
+      const first = TagColumnControls.items(column).find(item => !item.hidden);
+      this.setRovingItem(column, first);
+
+      column.insertAdjacentHTML('beforeend', `
+        <div class="litd-keyboard-hint text-xs text-muted">
+          ${CONFIG.KEY_NEXT}/${CONFIG.KEY_PREVIOUS} move &middot; ${CONFIG.KEY_TOGGLE} toggle &middot;
+          1-9 add top N &middot; ${CONFIG.KEY_FOCUS_INPUT} back to tags
+        </div>`);
+
+      column.addEventListener('keydown', (event) => this.handleKey(event, column));
+    }
+
+    static activeItem(column) {
+      return column.querySelector('.tag-list > li.litd-active');
+    }
+
+    // Only the active checkbox is in the tab order
+    static setRovingItem(column, item) {
+      TagColumnControls.items(column).forEach(other => {
+        other.classList.toggle('litd-active', other === item);
+        const checkbox = other.querySelector('input[type="checkbox"]');
+        if (checkbox) checkbox.tabIndex = other === item ? 0 : -1;
+      });
+    }
+
+    static focusItem(column, item) {
+      if (!item) return;
+      this.setRovingItem(column, item);
+      item.querySelector('input[type="checkbox"]')?.focus();
+      item.scrollIntoView({ block: 'nearest' });
+    }
+
+    static handleKey(event, column) {
+      // Leave typing in the filter box and the other controls alone
+      if (event.target.closest('.litd-controls')) return;
+
+      const binding = this.describe(event);
+      const visible = TagColumnControls.items(column).filter(item => !item.hidden);
+      const index = visible.indexOf(this.activeItem(column));
+
+      if (binding === CONFIG.KEY_NEXT) {
+        this.focusItem(column, visible[Math.min(index + 1, visible.length - 1)]);
+      } else if (binding === CONFIG.KEY_PREVIOUS) {
+        this.focusItem(column, visible[Math.max(index - 1, 0)]);
+      } else if (binding === CONFIG.KEY_TOGGLE) {
+        const checkbox = visible[index]?.querySelector('input[type="checkbox"]');
+        // A focused checkbox already toggles itself on Space
+        if (binding === 'Space' && event.target === checkbox) return;
+        if (checkbox && !checkbox.disabled) checkbox.click();
+      } else if (binding === CONFIG.KEY_FOCUS_INPUT) {
+        const textarea = SiteAdapter.current().findTagInput();
+        textarea?.focus();
+        textarea?.setSelectionRange(textarea.value.length, textarea.value.length);
+      } else if (/^[1-9]$/.test(binding)) {
+        TagColumnControls.addItems(TagColumnControls.selectableItems(column).slice(0, Number(binding)));
+      } else {
+        return;
+      }
+
+      event.preventDefault();
+      event.stopPropagation();
+    }
+  }
+
+  // rating:* scores are shown as their own widget instead of tag rows, and
+  // can drive the site's rating control
+  class RatingWidget {
+    static RATINGS = ['rating:general', 'rating:sensitive', 'rating:questionable', 'rating:explicit'];
+
+    static isRating(name) {
+      return this.RATINGS.includes(name);
+    }
+
+    // Returns { ratings, tags }, ratings in RATINGS order
+    static split(tagDataArray) {
+      const ratings = this.RATINGS
+        .map(name => tagDataArray.find(tag => tag.name === name))
+        .filter(Boolean)
+        .map(tag => ({ name: tag.name, confidence: tag.confidence }));
+
+      return { ratings, tags: tagDataArray.filter(tag => !this.isRating(tag.name)) };
+    }
+
+    static predicted(ratings) {
+      return ratings.reduce((best, rating) => (!best || rating.confidence > best.confidence ? rating : best), null);
+    }
+
+    static label(name) {
+      const word = name.slice('rating:'.length);
+      return word.charAt(0).toUpperCase() + word.slice(1);
+    }
+
+    // Warning text when the selected rating disagrees with a confident prediction
+    static describeMismatch(ratings) {
+      const site = SiteAdapter.current();
+      const predicted = this.predicted(ratings);
+      const current = site.currentRating();
+      if (!predicted || !current || predicted.confidence < CONFIG.RATING_CONFIDENCE) return null;
+      if (site.siteRating(predicted.name) === current) return null;
+
+      return `Rated ${this.label(current)}, but the model is ` +
+        `${TagManager.formatConfidence(predicted.confidence)} sure it's ${this.label(predicted.name)}`;
+    }
+
+    static createSection(ratings) {
+      const predicted = this.predicted(ratings);
+      const canSet = SiteAdapter.current().hasRatingControl();
+      const rows = ratings.map(rating => `
+        <li class="flex items-center gap-1 ${rating === predicted ? 'litd-rating-predicted' : ''}" data-rating="${rating.name}">
+          ${canSet ?
+            `<button type="button" class="litd-rating-option text-xs" title="Use this rating">${this.label(rating.name)}</button>` :
+            `<span class="text-xs">${this.label(rating.name)}</span>`}
+          <span class="text-muted text-xs">${TagManager.formatConfidence(rating.confidence)}</span>
+          <span class="litd-confidence-track">
+            <span class="litd-confidence-fill" style="width: ${Math.round(rating.confidence * 100)}%;"></span>
+          </span>
+        </li>`).join('');
+
+      return `
+        <div class="litd-rating space-y-1">
+          <ul>${rows}</ul>
+          <div class="litd-rating-warning text-xs" hidden></div>
+        </div>`;
+    }
+
+    // Marks the selected rating and shows or clears the warning
+    static refresh(section) {
+      const ratings = JSON.parse(section.dataset.ratings);
+      const current = SiteAdapter.current().currentRating();
+      section.querySelectorAll('li').forEach(item => {
+        item.classList.toggle('litd-rating-current', SiteAdapter.current().siteRating(item.dataset.rating) === current);
+      });
+
+      const warning = section.querySelector('.litd-rating-warning');
+      const message = this.describeMismatch(ratings);
+      warning.textContent = message ? `\u26A0 ${message}` : '';
+      warning.hidden = !message;
+    }
+
+    static attach(column, ratings, { preselect = true } = {}) {
+      if (!column || ratings.length === 0) return;
+
+      const site = SiteAdapter.current();
+      const predicted = this.predicted(ratings);
+      if (preselect && site.hasRatingControl() && (CONFIG.PRESELECT_RATING === 'always' ||
+        (CONFIG.PRESELECT_RATING === 'empty' && !site.currentRating()))) {
+        site.setRating(predicted.name);
+      }
+
+      column.querySelector('h3').insertAdjacentHTML('afterend', this.createSection(ratings));
+      const section = column.querySelector('.litd-rating');
+      section.dataset.ratings = JSON.stringify(ratings);
+      section.addEventListener('click', (event) => {
+        const item = event.target.closest('.litd-rating-option')?.closest('li');
+        if (!item) return;
+        site.setRating(item.dataset.rating);
+        this.refresh(section);
+      });
+      this.refresh(section);
+      this.listen();
+    }
+
+    // Rating radios and the tag box can change after rendering
+    static listen() {
+      if (this.listening) return;
+      this.listening = true;
+
+      const update = (event) => {
+        const site = SiteAdapter.current();
+        const isRatingInput = site.ratingInputs().includes(event.target);
+        if (!isRatingInput && event.target !== site.findTagInput()) return;
+        document.querySelectorAll('.litd-rating').forEach(section => this.refresh(section));
+      };
+      document.addEventListener('change', update);
+      document.addEventListener('input', update);
+    }
+  }
+
+  // "Possibly incorrect": tags already on the post that the model scored under
+  // REMOVAL_THRESHOLD, or that conflict with a confident suggestion from the
+  // same CONTRADICTION_GROUPS group. Uses every score, not just the suggestions.
+  class RemovalChecker {
+    // scores: normalized tags down to TaggerBackend.scoreFloor()
+    static async check(scores, impliedByCurrent = new Map(), signal) {
+      const currentTags = TagManager.getCurrentTags().filter(name => TagInfoResolver.isLookupable(name));
+      if (currentTags.length === 0) return [];
+
+      const [aliases, tagInfo] = await Promise.all([
+        TagRelationResolver.resolveAliases(currentTags, signal),
+        TagInfoResolver.resolve(currentTags, signal)
+      ]);
+      const hasTagApi = SiteAdapter.current().hasTagApi;
+      const byName = new Map(scores.map(tag => [tag.name.toLowerCase(), tag.confidence]));
+      const canonical = name => aliases.get(name) || name;
+      const scoreOf = name => byName.get(name.toLowerCase()) ?? byName.get(canonical(name).toLowerCase());
+
+      // Scores are sorted, so a missing tag scored at most the lowest listed
+      // one. The model may not know rare tags at all, so those need the
+      // site's post count.
+      const lowest = scores.length > 0 ? Math.min(...scores.map(tag => tag.confidence)) : 1;
+      const complete = lowest < CONFIG.REMOVAL_THRESHOLD;
+
+      return currentTags
+        .filter(name => !impliedByCurrent.has(canonical(name)))
+        .map(name => {
+          const confidence = scoreOf(name);
+          const info = tagInfo.get(name);
+          const reasons = [];
+
+          // Models are unreliable for artists, characters and copyrights
+          const general = !hasTagApi || (info?.exists && info.category === 0);
+          if (general && confidence !== undefined && confidence < CONFIG.REMOVAL_THRESHOLD) {
+            reasons.push(`scored ${TagManager.formatConfidence(confidence)}`);
+          } else if (general && confidence === undefined && complete && hasTagApi &&
+            info.postCount >= CONFIG.REMOVAL_MIN_POSTS) {
+            reasons.push(`scored under ${TagManager.formatConfidence(CONFIG.REMOVAL_THRESHOLD)}`);
+          }
+
+          const conflict = this.findConflict(canonical(name).toLowerCase(), confidence ?? 0, byName);
+          if (conflict) {
+            reasons.push(`conflicts with ${conflict.name} (${TagManager.formatConfidence(conflict.confidence)})`);
+          }
+
+          return reasons.length > 0 ? { name, confidence: confidence ?? null, reasons } : null;
+        })
+        .filter(Boolean);
+    }
+
+    // The most confident group member that clearly beats the existing tag
+    static findConflict(name, confidence, byName) {
+      let conflict = null;
+      CONFIG.CONTRADICTION_GROUPS
+        .filter(group => group.includes(name))
+        .flat()
+        .forEach(other => {
+          const otherConfidence = byName.get(other) ?? 0;
+          if (other !== name &&
+            otherConfidence >= CONFIG.CONTRADICTION_CONFIDENCE &&
+            confidence < otherConfidence / 2 &&
+            otherConfidence > (conflict?.confidence ?? 0)) {
+            conflict = { name: other, confidence: otherConfidence };
+          }
+        });
+      return conflict;
+    }
+
+    static createSection(findings) {
+      const items = findings.map(finding => `
+        <li class="flex items-center gap-1" data-tag-name="${escapeHtml(finding.name)}">
+          <a class="tag-type-0" href="${escapeHtml(SiteAdapter.current().searchUrl(finding.name))}">${escapeHtml(finding.name)}</a>
+          <span class="litd-removal-reason text-xs">${escapeHtml(finding.reasons.join('; '))}</span>
+          <button type="button" class="litd-remove text-xs" title="Remove from the post's tags">&times;</button>
+        </li>`).join('');
+
+      return `
+        <div class="litd-removals space-y-1">
+          <h4 class="flex items-center justify-between gap-2 text-xs">
+            Possibly incorrect
+            <button type="button" class="litd-remove-all text-xs">Remove all</button>
+          </h4>
+          <ul>${items}</ul>
+        </div>`;
+    }
+
+    static attach(column, findings) {
+      if (!column || findings.length === 0) return;
+
+      column.insertAdjacentHTML('beforeend', this.createSection(findings));
+      const section = column.lastElementChild;
+      section.addEventListener('click', (event) => {
+        const button = event.target.closest('button');
+        if (!button) return;
+
+        const items = button.classList.contains('litd-remove-all') ?
+          Array.from(section.querySelectorAll('li')) :
+          [button.closest('li')];
+        this.remove(column, items);
+        if (!section.querySelector('li')) section.remove();
+      });
+    }
+
+    static remove(column, items) {
+      const names = new Set(items.map(item => item.dataset.tagName.toLowerCase()));
+      const checked = TagColumnControls.items(column).filter(item =>
+        names.has(item.dataset.tagName.toLowerCase()) && item.querySelector('input[type="checkbox"]')?.checked);
+      const removed = TagManager.removeTags(items.map(item => item.dataset.tagName));
+
+      // TagSync unchecks the matching suggestions
+      checked.forEach(item => LITDEvents.emit('tag-toggled', { name: item.dataset.tagName, checked: false }));
+
+      items.forEach(item => item.remove());
+      console.log(`LITD: Removed ${removed.length} possibly incorrect tags`);
+    }
+  }
+
+  // "Tag region": the user drags a box over the image, the crop is tagged
+  // on its own and shown in a second column next to the suggestions
+  class RegionTagger {
+    static MIN_SIZE_PX = 16;
+    static PROGRESS_ID = 'litd-region-progress';
+    static controller = null;
+
+    static isAvailable() {
+      const media = SiteAdapter.current().findMedia();
+      return media?.tagName === 'IMG';
+    }
+
+    static async start() {
+      const img = SiteAdapter.current().findMedia();
+      if (img?.tagName !== 'IMG') {
+        UIManager.showError('Region tagging needs an image');
+        return;
+      }
+
+      const box = await this.select(img);
+      if (box) await this.tagRegion(img, box);
+    }
+
+    // Resolves with the box in fractions of the image, or null when cancelled
+    static select(img) {
+      return new Promise((resolve) => {
+        const rect = img.getBoundingClientRect();
+        const overlay = document.createElement('div');
+        overlay.className = 'litd-region-overlay';
+        overlay.title = 'Drag over the part to tag, Escape to cancel';
+        Object.assign(overlay.style, {
+          left: `${rect.left + window.scrollX}px`,
+          top: `${rect.top + window.scrollY}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`
+        });
+        const marquee = document.createElement('div');
+        marquee.className = 'litd-region-marquee';
+        overlay.appendChild(marquee);
+
+        let start = null;
+        let current = null;
+        const point = event => ({
+          x: Math.min(Math.max(event.clientX - rect.left, 0), rect.width),
+          y: Math.min(Math.max(event.clientY - rect.top, 0), rect.height)
+        });
+        const bounds = () => ({
+          left: Math.min(start.x, current.x),
+          top: Math.min(start.y, current.y),
+          width: Math.abs(current.x - start.x),
+          height: Math.abs(current.y - start.y)
+        });
+        const finish = (box) => {
+          overlay.remove();
+          document.removeEventListener('keydown', onKey, true);
+          resolve(box);
+        };
+        const onKey = (event) => {
+          if (event.key !== 'Escape') return;
+          event.preventDefault();
+          event.stopPropagation();
+          finish(null);
+        };
+
+        overlay.addEventListener('pointerdown', (event) => {
+          event.preventDefault();
+          overlay.setPointerCapture?.(event.pointerId);
+          start = current = point(event);
+        });
+        overlay.addEventListener('pointermove', (event) => {
+          if (!start) return;
+          current = point(event);
+          const { left, top, width, height } = bounds();
+          Object.assign(marquee.style, { left: `${left}px`, top: `${top}px`, width: `${width}px`, height: `${height}px` });
+        });
+        overlay.addEventListener('pointerup', (event) => {
+          if (!start) return;
+          current = point(event);
+          const { left, top, width, height } = bounds();
+          if (width < this.MIN_SIZE_PX || height < this.MIN_SIZE_PX) {
+            finish(null);
+            return;
+          }
+          finish(this.roundBox({ x: left / rect.width, y: top / rect.height, width: width / rect.width, height: height / rect.height }));
+        });
+        document.addEventListener('keydown', onKey, true);
+
+        document.body.appendChild(overlay);
+      });
+    }
+
+    // Fractions survive the difference between the displayed sample and the
+    // original; rounding keeps cache keys stable
+    static roundBox(box) {
+      const round = value => Math.round(value * 1000) / 1000;
+      return { x: round(box.x), y: round(box.y), width: round(box.width), height: round(box.height) };
+    }
+
+    static async crop(blob, box) {
+      const bitmap = await createImageBitmap(blob);
+      const sx = Math.round(box.x * bitmap.width);
+      const sy = Math.round(box.y * bitmap.height);
+      const width = Math.max(1, Math.round(box.width * bitmap.width));
+      const height = Math.max(1, Math.round(box.height * bitmap.height));
+
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      canvas.getContext('2d').drawImage(bitmap, sx, sy, width, height, 0, 0, width, height);
+      bitmap.close?.();
+
+      return MediaProcessor.canvasToBlob(canvas, width, height);
+    }
+
+    static cacheKey(hash, box) {
+      return cacheManager.generateKey(hash, TaggerBackend.current().id, null, box);
+    }
+
+    // Checks the cache before downloading the image again
+    static async analyze(img, box, signal) {
+      const url = LITDApp.getMediaUrl(img);
+      if (!url) throw new Error(ErrorTypes.MEDIA_NOT_FOUND);
+
+      const knownHash = (await urlIndexCache.get(url))?.hash || ContentHasher.md5FromUrl(url);
+      if (knownHash) {
+        const cached = await LITDApp.cachedTags(this.cacheKey(knownHash, box));
+        if (cached?.length > 0) {
+          console.log('LITD: Using cached region response');
+          return cached;
+        }
+      }
+
+      const blob = await MediaProcessor.fetchBlob(url, signal);
+      const hash = knownHash || await ContentHasher.hashFor(url, blob);
+      return LITDApp.tagSource({
+        blob: await this.crop(blob, box),
+        fileName: 'region.jpg',
+        cacheKey: this.cacheKey(hash, box)
+      }, signal);
+    }
+
+    static async tagRegion(img, box) {
+      this.controller?.abort();
+      const controller = new AbortController();
+      this.controller = controller;
+      UIManager.showProgress(() => controller.abort(), { id: this.PROGRESS_ID, title: 'Region Tags' });
+      UIManager.updateProgress('Analyzing region...', this.PROGRESS_ID);
+
+      try {
+        const { canonical, tagInfo, learned, tags } = await LITDApp.prepareSuggestions(
+          await this.analyze(img, box, controller.signal), controller.signal);
+        UIManager.hideProgress(this.PROGRESS_ID);
+        this.render(tags, { ...canonical, tagInfo, learned, wholeImage: LITDApp.wholeImageTags || new Map() }, box);
+      } catch (error) {
+        if (HttpClient.isAbort(error)) {
+          // Otherwise a newer region run owns the progress card
+          if (this.controller === controller) UIManager.hideProgress(this.PROGRESS_ID);
+          return;
+        }
+
+        console.error('LITD: Region tagging failed:', error);
+        UIManager.showError(error.message || ErrorTypes.NETWORK_ERROR, { progressId: this.PROGRESS_ID });
+      } finally {
+        if (this.controller === controller) this.controller = null;
+      }
+    }
+
+    static render(tags, context, box) {
+      const container = SiteAdapter.current().mountPoint();
+      if (!container) return;
+
+      document.querySelector('.litd-region-column')?.remove();
+
+      const percent = value => Math.round(value * 100);
+      container.insertAdjacentHTML('beforeend', TagManager.processTags(tags, context, {
+        title: `<span title="${percent(box.width)}% &times; ${percent(box.height)}% at ${percent(box.x)}%, ${percent(box.y)}%">Region Tags</span>`,
+        className: 'litd-region-column',
+        headerLinks: '<a href="#" class="litd-region-close" title="Close">&times;</a>'
+      }));
+
+      const column = container.lastElementChild;
+      column.querySelector('.litd-region-close').addEventListener('click', (event) => {
+        event.preventDefault();
+        column.remove();
+      });
+      TagColumnControls.attach(column);
+      KeyboardReview.attach(column);
+    }
+
+    // The region belongs to the media it was drawn on
+    static reset() {
+      this.controller?.abort();
+      UIManager.hideProgress(this.PROGRESS_ID);
+      document.querySelector('.litd-region-column')?.remove();
+    }
+  }
+
+  // UI management
+  class UIManager {
+    static registerMenuCommand(name, callback) {
+      if (typeof GM !== 'undefined' && GM.registerMenuCommand) {
+        GM.registerMenuCommand(name, callback);
+      } else if (typeof GM_registerMenuCommand === 'function') {
+        GM_registerMenuCommand(name, callback);
+      }
+    }
+
+    static injectStyles() {
+      if (document.getElementById('litd-styles')) return;
+
+      const style = document.createElement('style');
+      style.id = 'litd-styles';
+      style.textContent = `
+        .litd-tag-flagged .related-tag a { text-decoration: line-through; opacity: 0.6; }
+        .litd-tag-warning { color: #d97706; cursor: help; }
+        .litd-tag-implied { opacity: 0.5; }
+        .litd-tag-implied .related-tag a { pointer-events: none; }
+        .litd-implies { cursor: help; }
+        .litd-confidence-track { display: inline-block; width: 2.5rem; height: 0.3rem; background: rgba(127, 127, 127, 0.25); border-radius: 2px; }
+        .litd-confidence-fill { display: block; height: 100%; background: #0ea5e9; border-radius: 2px; }
+        .litd-controls input[type="range"] { width: 8rem; }
+        .litd-tag-column li[hidden] { display: none !important; }
+        .litd-tag-below-threshold { opacity: 0.6; }
+        .litd-tag-present .related-tag a { font-weight: bold; }
+        .litd-rating ul { list-style: none; margin: 0; padding: 0; }
+        .litd-rating li { opacity: 0.7; }
+        .litd-rating .litd-rating-predicted, .litd-rating .litd-rating-current { opacity: 1; }
+        .litd-rating .litd-rating-predicted .litd-confidence-fill { background: #16a34a; }
+        .litd-rating .litd-rating-current button, .litd-rating .litd-rating-current > span:first-child { font-weight: bold; }
+        .litd-rating .litd-rating-option { min-width: 6rem; text-align: left; }
+        .litd-rating-warning { color: #d97706; }
+        .litd-removals { border-top: 1px solid rgba(128, 128, 128, 0.4); padding-top: 0.25em; }
+        .litd-removals ul { list-style: none; margin: 0; padding: 0; }
+        .litd-removals .litd-removal-reason { color: #d97706; }
+        .litd-mount .litd-tag-column, .litd-mount #litd-progress, .litd-mount #litd-region-progress, .litd-mount #litd-error { margin: 0.5em 0; padding: 0.5em; border: 1px solid rgba(128, 128, 128, 0.4); }
+        .litd-mount .tag-list { list-style: none; margin: 0; padding: 0; }
+        .litd-region-overlay { position: absolute; z-index: 10000; cursor: crosshair; background: rgba(0, 0, 0, 0.15); touch-action: none; }
+        .litd-region-marquee { position: absolute; border: 2px dashed #0ea5e9; background: rgba(14, 165, 233, 0.15); }
+        .litd-region-new { padding: 0 3px; border-radius: 3px; background: #0ea5e9; color: #fff; }
+        .litd-tag-column li.litd-active:focus-within { outline: 2px solid #0ea5e9; outline-offset: 1px; }
+        .litd-keyboard-hint { display: none; }
+        .litd-tag-column:focus-within .litd-keyboard-hint { display: block; }
+        .litd-cache-bar { display: inline-block; height: 0.6rem; min-width: 1px; background: #0ea5e9; }
+        .litd-batch-badge { position: absolute; top: 2px; left: 2px; padding: 0 4px; border-radius: 4px; background: rgba(0, 0, 0, 0.7); color: #fff; }
+        .litd-batch-badge[data-state="done"] { background: rgba(22, 163, 74, 0.85); }
+        .litd-batch-badge[data-state="error"] { background: rgba(220, 38, 38, 0.85); }
+        .litd-tag-preview { position: absolute; z-index: 10000; width: 20rem; max-width: 90vw; background: var(--card-background-color, var(--body-background-color, #fff)); border: 1px solid rgba(128, 128, 128, 0.4); box-shadow: 0 2px 8px rgba(0, 0, 0, 0.25); }
+        .litd-tag-preview-summary { margin: 0.25em 0; }
+        .litd-tag-preview-examples { display: flex; gap: 4px; }
+        .litd-tag-preview-examples img { max-width: 4.5rem; max-height: 4.5rem; object-fit: contain; }
+      `;
+      document.head.appendChild(style);
+    }
+
+    // id: 'litd-progress' for the page analysis, RegionTagger has its own
+    static showProgress(onCancel = null, { id = 'litd-progress', title = 'Tag Processing' } = {}) {
+      this.hideProgress(id);
+
+      const progressDiv = document.createElement('div');
+      progressDiv.id = id;
+      progressDiv.className = 'tag-column card p-2 h-fit';
+      progressDiv.innerHTML = `
+        <h3>${title}</h3>
+        <div class="litd-progress-status">Analyzing media...</div>
+        ${onCancel ? '<button type="button" class="litd-progress-cancel">Cancel</button>' : ''}
+      `;
+      progressDiv.querySelector('.litd-progress-cancel')?.addEventListener('click', onCancel);
+
+      const container = SiteAdapter.current().mountPoint();
+      if (container) {
+        container.appendChild(progressDiv);
+      }
+    }
+
+    static updateProgress(message, id = 'litd-progress') {
+      const status = document.querySelector(`#${id} .litd-progress-status`);
+      if (status) {
+        status.textContent = message;
+      }
+    }
+
+    static hideProgress(id = 'litd-progress') {
+      const progress = document.getElementById(id);
+      if (progress) {
+        progress.remove();
+      }
+    }
+
+    static showError(message, { progressId = 'litd-progress' } = {}) {
+      this.hideProgress(progressId);
+
+      const errorDiv = document.createElement('div');
+      errorDiv.id = 'litd-error';
+      errorDiv.className = 'tag-column card p-2 h-fit';
+      errorDiv.innerHTML = `
+        <h3 style="color: #dc2626;">Tagging Error</h3>
+        <div class="text-sm">${escapeHtml(message)}</div>
+      `;
+
+      const container = SiteAdapter.current().mountPoint();
+      if (container) {
+        container.appendChild(errorDiv);
+        setTimeout(() => errorDiv.remove(), 5000);
+      }
+    }
+
+    static removeTagColumn() {
+      document.querySelectorAll(CONFIG.SELECTORS.MAIN_COLUMN).forEach(column => column.remove());
+    }
+  }
+
+  // Batch mode for post index and multi-asset upload pages: tags every
+  // thumbnail and lists suggestions missing from each post
+  class BatchTagger {
+    static running = false;
+    static controller = null;
+
+    static isBatchPage() {
+      return SiteAdapter.current().isBatchPage();
+    }
+
+    static setup() {
+      const container = document.querySelector(SiteAdapter.current().selectors.batchContainer);
+      if (!container || document.getElementById('litd-batch')) return;
+
+      const panel = document.createElement('div');
+      panel.id = 'litd-batch';
+      panel.className = 'card p-2 mb-2 space-y-1';
+      panel.innerHTML = `
+        <div class="flex items-center gap-2">
+          <strong>LITD batch tagging</strong>
+          <button type="button" class="litd-batch-start">Tag all</button>
+          <button type="button" class="litd-batch-stop" disabled>Stop</button>
+          <span class="litd-batch-status text-muted text-sm"></span>
+          <a href="#" class="litd-settings-link" title="LITD settings">&#9881;</a>
+        </div>
+        <div class="litd-batch-summary"></div>`;
+      container.prepend(panel);
+
+      panel.querySelector('.litd-batch-start').addEventListener('click', () => this.run());
+      panel.querySelector('.litd-batch-stop').addEventListener('click', () => {
+        this.controller?.abort();
+      });
+
+      UIManager.registerMenuCommand('LITD batch tagging', () => this.run());
+    }
+
+    // Largest candidate from srcset, the 180px thumbnail is too small to tag well
+    static bestImageUrl(img) {
+      const candidates = [img.currentSrc, img.src];
+      const sources = [img, ...(img.closest('picture')?.querySelectorAll('source') || [])];
+
+      let bestDensity = 0;
+      sources.forEach(source => {
+        (source.srcset || '').split(',').forEach(entry => {
+          const [url, descriptor = '1x'] = entry.trim().split(/\s+/);
+          const density = parseFloat(descriptor) || 1;
+          if (url && density > bestDensity) {
+            bestDensity = density;
+            candidates.unshift(url);
+          }
+        });
+      });
+
+      const url = candidates.find(Boolean);
+      return url ? new URL(url, location.href).href : null;
     }
 
-    // Process from cached tag data array
-    static processCachedTags(tagDataArray, currentTags) {
-      const tagItems = tagDataArray
-        .map(tag => this.createTagItemFromData(tag, currentTags))
-        .join("");
+    static collectItems() {
+      return Array.from(document.querySelectorAll(SiteAdapter.current().selectors.batchItems))
+        .map(element => {
+          const img = element.querySelector('img');
+          const link = element.querySelector('a[href]');
+          if (!img) return null;
+
+          return {
+            element,
+            img,
+            url: this.bestImageUrl(img),
+            id: element.dataset.id || link?.getAttribute('href')?.split('/').pop() || '?',
+            href: link?.href || '#',
+            tags: (element.dataset.tags || '').split(/\s+/).filter(Boolean)
+          };
+        })
+        .filter(item => item?.url);
+    }
 
-      return this.createTagColumn(tagItems);
+    static setItemStatus(item, text, state) {
+      let badge = item.element.querySelector('.litd-batch-badge');
+      if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'litd-batch-badge text-xs';
+        item.element.style.position = item.element.style.position || 'relative';
+        item.element.appendChild(badge);
+      }
+      badge.textContent = text;
+      badge.dataset.state = state;
     }
 
-    // Process from HTML response (for non-cached responses)
-    static processSuggestedTags(responseDoc, currentTags) {
-      const rows = Array.from(responseDoc.querySelectorAll("tbody tr"));
+    static setStatus(text) {
+      const status = document.querySelector('#litd-batch .litd-batch-status');
+      if (status) status.textContent = text;
+    }
 
-      const tagItems = rows
-        .map(row => this.createTagItem(row, currentTags))
-        .filter(Boolean)
-        .join("");
+    static async run() {
+      if (this.running) return;
+
+      const items = this.collectItems();
+      if (items.length === 0) {
+        this.setStatus('No thumbnails found');
+        return;
+      }
+
+      this.running = true;
+      this.controller = new AbortController();
+      const signal = this.controller.signal;
+      document.querySelector('#litd-batch .litd-batch-start').disabled = true;
+      document.querySelector('#litd-batch .litd-batch-stop').disabled = false;
 
-      return this.createTagColumn(tagItems);
+      items.forEach(item => this.setItemStatus(item, 'queued', 'queued'));
+
+      const queue = [...items];
+      const results = [];
+      let done = 0;
+
+      const worker = async () => {
+        while (queue.length > 0 && !signal.aborted) {
+          const item = queue.shift();
+          results.push(await this.processItem(item, signal));
+          done++;
+          this.setStatus(`${done} / ${items.length}`);
+        }
+      };
+
+      try {
+        this.setStatus(`0 / ${items.length}`);
+        const workerCount = Math.min(CONFIG.BATCH_CONCURRENCY, items.length);
+        await Promise.all(Array.from({ length: workerCount }, worker));
+
+        queue.forEach(item => this.setItemStatus(item, 'skipped', 'skipped'));
+        this.setStatus(signal.aborted ?
+          `Stopped after ${done} of ${items.length}` :
+          `Done: ${items.length} items`);
+
+        // Keep page order in the summary
+        results.sort((a, b) => items.indexOf(a.item) - items.indexOf(b.item));
+        await this.renderSummary(results);
+      } catch (error) {
+        console.error('LITD: Batch run failed:', error);
+        this.setStatus(`Failed after ${done} of ${items.length}: ${error.message}`);
+      } finally {
+        this.running = false;
+        document.querySelector('#litd-batch .litd-batch-start').disabled = false;
+        document.querySelector('#litd-batch .litd-batch-stop').disabled = true;
+      }
     }
 
-    static createTagItemFromData(tagData, currentTags) {
-      const isChecked = currentTags.includes(tagData.name);
+    static async processItem(item, signal) {
+      this.setItemStatus(item, 'analyzing', 'running');
+      LITDEvents.emit('analysis-start', { source: 'batch', url: item.url, postId: item.id });
 
-      return `
-        <li class="flex items-center gap-1 w-fit leading-none">
-          <input type="checkbox" tabindex="-1" ${isChecked ? 'checked' : ''}>
-          <span class="related-tag">
-            <a class="tag-type-0"
-               data-tag-name="${tagData.name}"
-               href="/posts?tags=${encodeURIComponent(tagData.name)}">
-              ${tagData.name}
-              <span class="text-muted text-xs">${tagData.confidence}</span>
-            </a>
-          </span>
-        </li>`;
+      try {
+        const tags = await LITDApp.analyzeMedia(item.img, item.url, signal);
+        const canonical = TagRules.filterCanonical(await TagCanonicalizer.canonicalize(
+          TagRules.apply(TaggerBackend.topTags(tags), item.tags), item.tags, signal));
+        const missing = canonical.tags.filter(tag =>
+          tag.confidence >= CONFIG.BATCH_MIN_CONFIDENCE &&
+          TagInfoResolver.isLookupable(tag.name) &&
+          !canonical.currentTags.includes(tag.name) &&
+          !canonical.impliedByCurrent.has(tag.name));
+
+        this.setItemStatus(item, `${missing.length} missing`, 'done');
+        LITDEvents.emit('tags-ready', { source: 'batch', url: item.url, postId: item.id, tags: canonical.tags, missing });
+        return { item, missing };
+      } catch (error) {
+        if (HttpClient.isAbort(error)) {
+          this.setItemStatus(item, 'cancelled', 'skipped');
+          return { item, error: ErrorTypes.CANCELLED };
+        }
+
+        console.error(`LITD: Batch item ${item.id} failed:`, error);
+        LITDEvents.emit('error', { source: 'batch', url: item.url, postId: item.id, message: error.message });
+        this.setItemStatus(item, 'error', 'error');
+        return { item, error: error.message || ErrorTypes.NETWORK_ERROR };
+      }
     }
 
-    static createTagItem(row, currentTags) {
-      const link = row.querySelector("a.text-sky-600.hover\\:text-sky-500.mr-4");
-      const confidence = row.querySelector("td.text-gray-400.text-right");
+    static async renderSummary(results) {
+      const summary = document.querySelector('#litd-batch .litd-batch-summary');
+      if (!summary) return;
 
-      if (!link || !confidence) return null;
+      const tagInfo = await TagInfoResolver.resolve(results.flatMap(result => (result.missing || []).map(tag => tag.name)));
 
-      const tagName = link.textContent.replace(/\s+/g, '_').trim();
-      const confidenceText = confidence.textContent.trim();
-      const isChecked = currentTags.includes(tagName);
+      const rows = results.map(({ item, missing, error }) => `
+        <tr>
+          <td><a href="${escapeHtml(item.href)}">#${escapeHtml(item.id)}</a></td>
+          <td>${error ? '<span class="litd-batch-error" style="color: #dc2626;"></span>' : missing.length}</td>
+          <td>${(missing || []).map(tag => `
+            <a class="tag-type-${tagInfo.get(tag.name)?.category || 0}" href="${escapeHtml(SiteAdapter.current().searchUrl(tag.name))}"
+               title="${TagManager.formatConfidence(tag.confidence)}">${escapeHtml(tag.name)}</a>`).join(' ')}</td>
+        </tr>`).join('');
 
-      return `
-        <li class="flex items-center gap-1 w-fit leading-none">
-          <input type="checkbox" tabindex="-1" ${isChecked ? 'checked' : ''}>
-          <span class="related-tag">
-            <a class="tag-type-0"
-               data-tag-name="${tagName}"
-               href="/posts?tags=${encodeURIComponent(tagName)}">
-              ${tagName}
-              <span class="text-muted text-xs">${confidenceText}</span>
-            </a>
-          </span>
-        </li>`;
+      summary.innerHTML = `
+        <table class="striped autofit w-full">
+          <thead>
+            <tr><th>Post</th><th>Missing</th><th>Suggested tags not on the post</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+        ${ImagePreprocessor.createSummary()}`;
+
+      // Error messages may quote server responses
+      const rowElements = summary.querySelectorAll('tbody tr');
+      results.forEach(({ error }, index) => {
+        const cell = rowElements[index].querySelector('.litd-batch-error');
+        if (cell) cell.textContent = error;
+      });
     }
+  }
 
-    static createTagColumn(tagItems) {
-      return `
-        <div class="tag-column card p-2 h-fit space-y-1">
-          <h3>Suggested Tags</h3>
-          <ul class="tag-list">${tagItems}</ul>
-        </div>`;
+  // Events for other scripts, dispatched on document:
+  //   litd:ready            { version }
+  //   litd:analysis-start   { source, url }
+  //   litd:tags-ready       { source, url, tags }
+  //   litd:error            { source, url, message }
+  //   litd:tag-toggled      { name, checked }
+  // source is 'page', 'batch' or 'api'.
+  class LITDEvents {
+    static emit(name, detail) {
+      // Firefox hides sandbox objects from page scripts unless they are cloned
+      const pageDetail = typeof cloneInto === 'function' ? cloneInto(detail, document.defaultView) : detail;
+      document.dispatchEvent(new CustomEvent(`litd:${name}`, { detail: pageDetail }));
     }
   }
 
-  // UI management
-  class UIManager {
-    static showProgress() {
-      this.hideProgress();
+  // Watches the page instead of waiting a fixed time: analyzes once the
+  // media and the tag form are there, again when the media changes (e.g.
+  // switching assets of a multi-file upload), and drops the columns of the
+  // previous media. The media URL, not the column, tells whether it ran.
+  class PageLifecycle {
+    static mediaKey = null; // URL, or the element for videos without one
+    static tagBoxFocused = false;
+    static scheduled = false;
+    static failures = 0; // Failed analyses of the current media
+    static retryTimer = null;
 
-      const progressDiv = document.createElement('div');
-      progressDiv.id = 'litd-progress';
-      progressDiv.className = 'tag-column card p-2 h-fit';
-      progressDiv.innerHTML = `
-        <h3>Tag Processing</h3>
-        <div>Analyzing media...</div>
-      `;
+    // LITD's own nodes, e.g. its columns or a class toggled on one of their items
+    static isOwnNode(node) {
+      const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+      return Boolean(element?.closest('[id^="litd-"], [class*="litd-"]'));
+    }
 
-      const container = document.querySelector(CONFIG.SELECTORS.RELATED_TAGS);
-      if (container) {
-        container.appendChild(progressDiv);
-      }
+    static isPageMutation(mutation) {
+      if (this.isOwnNode(mutation.target)) return false;
+      if (mutation.type !== 'childList') return true;
+      return [...mutation.addedNodes, ...mutation.removedNodes].some(node => !this.isOwnNode(node));
     }
 
-    static hideProgress() {
-      const progress = document.getElementById('litd-progress');
-      if (progress) {
-        progress.remove();
+    static start() {
+      new MutationObserver((mutations) => {
+        if (mutations.some(mutation => this.isPageMutation(mutation))) this.schedule();
+      }).observe(document.body, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['src', 'style', 'class', 'hidden']
+      });
+
+      // Media events don't bubble; videos pick their source after loading
+      ['load', 'loadedmetadata'].forEach(type => document.addEventListener(type, (event) => {
+        if (event.target.matches?.(SiteAdapter.current().selectors.media)) this.schedule();
+      }, true));
+
+      document.addEventListener('focusin', (event) => {
+        if (event.target !== SiteAdapter.current().findTagInput()) return;
+        this.tagBoxFocused = true;
+        this.schedule();
+      });
+      window.addEventListener('popstate', () => this.schedule());
+
+      this.check();
+    }
+
+    // One check for all mutations of a task
+    static schedule() {
+      if (this.scheduled) return;
+      this.scheduled = true;
+      setTimeout(() => {
+        this.scheduled = false;
+        this.check();
+      }, 0);
+    }
+
+    static keyFor(media) {
+      if (!media) return null;
+      return LITDApp.getMediaUrl(media) || (MediaProcessor.isVideo(media) ? media : null);
+    }
+
+    static check() {
+      const media = SiteAdapter.current().findMedia();
+      const key = this.keyFor(media);
+
+      if (key !== this.mediaKey && this.mediaKey !== null) {
+        console.log('LITD: Media changed, discarding its suggestions');
+        this.reset();
+      }
+      if (key && key !== this.mediaKey && this.formReady()) {
+        this.analyze(media);
       }
     }
 
-    static showError(message) {
-      this.hideProgress();
+    // Upload pages analyze as soon as the tag box exists. Post pages wait for
+    // the edit form to be shown, whether by the edit link or a shortcut, or
+    // on sites without an edit link for the tag box to be focused.
+    static formReady() {
+      const site = SiteAdapter.current();
+      const input = site.findTagInput();
+      if (!input) return false;
+      if (site.isUploadPage()) return true;
+      return site.selectors.editLink ? this.isShown(input) : this.tagBoxFocused;
+    }
 
-      const errorDiv = document.createElement('div');
-      errorDiv.id = 'litd-error';
-      errorDiv.className = 'tag-column card p-2 h-fit';
-      errorDiv.innerHTML = `
-        <h3 style="color: #dc2626;">Tagging Error</h3>
-        <div class="text-sm">${message}</div>
-      `;
+    static isShown(element) {
+      if (typeof element.checkVisibility === 'function') return element.checkVisibility();
 
-      const container = document.querySelector(CONFIG.SELECTORS.RELATED_TAGS);
-      if (container) {
-        container.appendChild(errorDiv);
-        setTimeout(() => errorDiv.remove(), 5000);
+      for (let node = element; node; node = node.parentElement) {
+        if (node.hidden || getComputedStyle(node).display === 'none') return false;
+      }
+      return true;
+    }
+
+    // A failed analysis is tried again ANALYSIS_RETRIES times with growing
+    // delays, then only when the media changes or on Re-analyze. Page changes
+    // in between don't start it again.
+    static async analyze(media) {
+      const key = this.keyFor(media);
+      this.mediaKey = key;
+      const succeeded = await LITDApp.processMedia(media);
+      if (this.mediaKey !== key) return;
+      if (succeeded) {
+        this.failures = 0;
+        return;
       }
+      if (this.failures >= CONFIG.ANALYSIS_RETRIES) {
+        console.warn('LITD: Analysis failed again, giving up until the media changes or Re-analyze is used');
+        return;
+      }
+
+      const delay = HttpClient.backoffDelay(this.failures++);
+      console.log(`LITD: Analysis failed, trying again in ${Math.round(delay / 1000)}s`);
+      this.retryTimer = setTimeout(() => {
+        this.retryTimer = null;
+        if (this.mediaKey !== key) return;
+        this.mediaKey = null;
+        this.check();
+      }, delay);
+    }
+
+    // Cancels the analysis and removes what was shown for the current media
+    static reset() {
+      this.mediaKey = null;
+      this.failures = 0;
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+      LITDApp.cancelAnalysis();
+      UIManager.hideProgress();
+      UIManager.removeTagColumn();
+      RegionTagger.reset();
+      LITDApi.lastTags = [];
     }
 
-    static tagColumnExists() {
-      return Array.from(document.querySelectorAll('.tag-column.card h3'))
-        .some(h => h.textContent === "Suggested Tags");
+    // Analyzes the same media again, e.g. with new settings
+    static rerun() {
+      if (this.mediaKey === null) return;
+      this.reset();
+      this.check();
     }
   }
 
@@ -578,6 +5299,19 @@
   class LITDApp {
     static async initialize() {
       try {
+        await SettingsManager.load();
+        await TagRules.load();
+        this.setupSettingsAccess();
+        this.setupRulesAccess();
+        this.setupCacheAccess();
+        this.setupStatsAccess();
+        this.setupRegionAccess();
+        KeyboardReview.setupGlobal();
+        TagFeedback.setupSubmitListener();
+        TabCoordinator.start();
+        TagPreview.setup();
+        UIManager.injectStyles();
+
         // Ensure cache is initialized
         await cacheManager.initPromise;
 
@@ -585,162 +5319,596 @@
         const stats = await cacheManager.getStats();
         console.log(`LITD: Cache stats - ${stats.entries} entries, ${stats.totalSizeKB}KB, oldest: ${stats.oldestEntryAge} days`);
 
-        if (this.isUploadsPage()) {
-          setTimeout(() => this.processMedia(), CONFIG.INIT_DELAY);
+        if (BatchTagger.isBatchPage()) {
+          BatchTagger.setup();
         } else {
-          this.setupEditListener();
+          PageLifecycle.start();
         }
       } catch (error) {
         console.error('LITD: Initialization failed:', error);
       }
     }
 
-    static isUploadsPage() {
-      const isUploadUrl = /uploads\/\d+/.test(location.href);
-      const hasMedia = document.querySelector(CONFIG.SELECTORS.MEDIA);
-      return isUploadUrl && hasMedia;
+    static setupSettingsAccess() {
+      const openSettings = () => SettingsDialog.open();
+
+      UIManager.registerMenuCommand('LITD settings', openSettings);
+
+      document.addEventListener('click', (event) => {
+        if (event.target.closest('.litd-settings-link')) {
+          event.preventDefault();
+          openSettings();
+        }
+      });
+
+      SettingsManager.onChange(() => this.applySettings());
+    }
+
+    static setupCacheAccess() {
+      UIManager.registerMenuCommand('LITD cache', () => CacheDialog.open());
+
+      document.addEventListener('click', (event) => {
+        if (event.target.closest('.litd-cache-link')) {
+          event.preventDefault();
+          CacheDialog.open();
+        }
+      });
+    }
+
+    static setupRulesAccess() {
+      UIManager.registerMenuCommand('LITD tag rules', () => RulesDialog.open());
+
+      document.addEventListener('click', (event) => {
+        if (event.target.closest('.litd-rules-link')) {
+          event.preventDefault();
+          RulesDialog.open();
+        }
+      });
     }
 
-    static setupEditListener() {
-      const editLink = document.getElementById("post-edit-link");
-      if (!editLink) return;
+    static setupRegionAccess() {
+      UIManager.registerMenuCommand('LITD tag region', () => RegionTagger.start());
 
-      editLink.onclick = () => {
-        if (!UIManager.tagColumnExists()) {
-          this.processMedia();
+      document.addEventListener('click', (event) => {
+        if (event.target.closest('.litd-region-link')) {
+          event.preventDefault();
+          RegionTagger.start();
         }
-      };
+      });
+    }
+
+    static setupStatsAccess() {
+      UIManager.registerMenuCommand('LITD tag stats', () => TagStatsDialog.open());
+
+      document.addEventListener('click', (event) => {
+        if (event.target.closest('.litd-stats-link')) {
+          event.preventDefault();
+          TagStatsDialog.open();
+        }
+      });
+    }
+
+    // Drops cached results for the current media and analyzes it again
+    static async reanalyze() {
+      const media = SiteAdapter.current().findMedia();
+      if (!media) return;
+
+      const url = this.getMediaUrl(media);
+      if (url) {
+        const hash = (await urlIndexCache.get(url))?.hash || ContentHasher.md5FromUrl(url);
+        if (hash) {
+          const deleted = await cacheManager.deleteByHash(hash);
+          console.log(`LITD: Deleted ${deleted} cache entries for re-analysis`);
+        }
+        await urlIndexCache.delete(url);
+      }
+
+      PageLifecycle.reset();
+      await PageLifecycle.analyze(media);
+    }
+
+    // Re-render with the new settings instead of requiring a reload
+    static applySettings() {
+      cacheManager.cleanupOldEntries();
+      PageLifecycle.rerun();
     }
 
-    static async processMedia() {
-      const media = document.querySelector(CONFIG.SELECTORS.MEDIA);
+    // Aborts the page analysis without touching the UI; used when the media
+    // it was started for is gone
+    static cancelAnalysis() {
+      const controller = this.pageController;
+      this.pageController = null;
+      controller?.abort();
+    }
+
+    // Resolves false when loading or tagging the media failed, i.e. when
+    // trying again may help. Cancelled analyses and failed renders resolve true.
+    static async processMedia(media = SiteAdapter.current().findMedia()) {
       if (!media) {
         console.warn('LITD: No media element found');
-        return;
+        return false;
       }
 
-      UIManager.showProgress();
+      const controller = new AbortController();
+      const { signal } = controller;
+      const url = this.getMediaUrl(media);
+      this.pageController = controller;
+      UIManager.showProgress(() => controller.abort());
+      LITDEvents.emit('analysis-start', { source: 'page', url });
 
       try {
-        const { blob, fileName, cacheKey } = await this.prepareMediaData(media);
-
-        // Try cache first
-        const cachedTags = await cacheManager.get(cacheKey);
-        if (cachedTags && cachedTags.length > 0) {
-          console.log(`LITD: Using cached response (${cachedTags.length} tags)`);
-          this.handleCachedTags(cachedTags);
-          return;
-        }
+        const tags = await this.analyzeMedia(media, url, signal, (partial, pending) => {
+          if (!signal.aborted) return this.renderTags(partial, { pending, signal });
+        });
+        // Cached results don't check the signal
+        if (signal.aborted) throw HttpClient.abortError();
 
-        // Send for tagging
-        await this.sendForTagging(blob, fileName, cacheKey);
+        const rendered = await this.renderTags(tags, { signal });
+        if (signal.aborted) throw HttpClient.abortError();
+        // renderTags showed the error; tagging again would end the same way
+        if (!rendered) return true;
 
+        LITDApi.lastTags = rendered;
+        LITDEvents.emit('tags-ready', { source: 'page', url, tags: rendered });
+        return true;
       } catch (error) {
+        if (HttpClient.isAbort(error)) {
+          console.log('LITD: Analysis cancelled');
+          // Otherwise the next analysis already owns the progress card
+          if (this.pageController === controller) UIManager.hideProgress();
+          LITDEvents.emit('error', { source: 'page', url, message: ErrorTypes.CANCELLED });
+          return true;
+        }
+
         console.error('LITD: Media processing failed:', error);
         UIManager.showError(error.message || 'Failed to process media');
+        LITDEvents.emit('error', { source: 'page', url, message: error.message || 'Failed to process media' });
+        return false;
+      }
+    }
+
+    // Returns merged tags for a media element, from the cache or the tagger
+    // onPartial(tags, pendingLabels) gets early ensemble results for still images
+    static async analyzeMedia(media, url, signal, onPartial = null) {
+      const frameTags = await this.lookupCachedTags(url, MediaProcessor.isVideo(media)) ||
+        await this.tagSources(await this.prepareMediaData(media, url, signal), signal, onPartial);
+
+      return frameTags.length > 1 ? FrameAggregator.aggregate(frameTags) : frameTags[0];
+    }
+
+    static getMediaUrl(media) {
+      if (MediaProcessor.isVideo(media)) {
+        return media.currentSrc || media.src || media.querySelector('source')?.src || null;
+      }
+      // Danbooru's ugoira player draws on a canvas; its container has the zip
+      if (media.tagName === 'CANVAS') {
+        return media.closest('[data-file-url]')?.dataset.fileUrl || null;
+      }
+      return MediaProcessor.extractImageUrl(media);
+    }
+
+    static cacheKeysFor(contentHash, frameCount) {
+      const backendId = TaggerBackend.current().id;
+      if (frameCount <= 1) {
+        return [cacheManager.generateKey(contentHash, backendId)];
+      }
+      return Array.from({ length: frameCount }, (_, index) =>
+        cacheManager.generateKey(contentHash, backendId, { index, total: frameCount }));
+    }
+
+    // The ensemble's result isn't cached, its members' results are merged
+    // again so weight and strategy changes apply right away
+    static async cachedTags(key) {
+      const backend = TaggerBackend.current();
+      if (!backend.isEnsemble) return cacheManager.get(key);
+
+      const results = [];
+      for (const { backend: member, weight } of backend.members()) {
+        const tags = await cacheManager.get(cacheManager.keyForBackend(key, member.id));
+        if (!tags || tags.length === 0) return null;
+        results.push({ backend: member, weight, tags });
+      }
+      return backend.merge(results);
+    }
+
+    // Finds cached results through the URL index, or the md5 in the file name,
+    // so the media doesn't have to be downloaded again
+    static async lookupCachedTags(url, isVideo) {
+      if (!url) return null;
+
+      let hash = null;
+      let frameCount = null;
+
+      const indexed = await urlIndexCache.get(url);
+      if (indexed && (indexed.frameCount === 1 || indexed.requestedFrames === CONFIG.FRAME_COUNT)) {
+        hash = indexed.hash;
+        frameCount = indexed.frameCount;
+      } else {
+        hash = ContentHasher.md5FromUrl(url);
+        const mayBeAnimated = /\.(gif|png|webp|avif|zip)$/i.test(new URL(url, location.href).pathname);
+
+        if (isVideo) {
+          frameCount = CONFIG.FRAME_COUNT;
+        } else if (!mayBeAnimated || CONFIG.FRAME_COUNT === 1) {
+          frameCount = 1;
+        }
+      }
+
+      // Animated images need to be decoded to know how many frames they have
+      if (!hash || !frameCount) return null;
+
+      const frameTags = [];
+      for (const key of this.cacheKeysFor(hash, frameCount)) {
+        const tags = await this.cachedTags(key);
+        if (!tags || tags.length === 0) return null;
+        frameTags.push(tags);
+      }
+
+      console.log(`LITD: Using cached response for ${hash} (${frameCount} frame(s))`);
+      return frameTags;
+    }
+
+    static async tagSources(sources, signal, onPartial = null) {
+      const frameTags = [];
+
+      for (const [index, source] of sources.entries()) {
+        if (sources.length > 1) {
+          UIManager.updateProgress(`Analyzing frame ${index + 1} of ${sources.length}...`);
+        }
+        frameTags.push(await this.tagSource(source, signal, sources.length === 1 ? onPartial : null));
+      }
+
+      return frameTags;
+    }
+
+    // Tags one image or frame, using the cache when possible
+    static async tagSource({ blob, fileName, cacheKey, legacyUrl }, signal, onPartial = null) {
+      const backend = TaggerBackend.current();
+      const cachedTags = await this.cachedTags(cacheKey) ||
+        (legacyUrl && !backend.isEnsemble ? await cacheManager.adoptLegacy(legacyUrl, backend.id, cacheKey) : null);
+
+      if (cachedTags && cachedTags.length > 0) {
+        console.log(`LITD: Using cached response (${cachedTags.length} tags)`);
+        return cachedTags;
+      }
+
+      if (backend.isEnsemble) {
+        return this.tagEnsemble({ blob, fileName, cacheKey }, backend, signal, onPartial);
+      }
+
+      return TabCoordinator.run(cacheKey, () => this.sendForTagging(blob, fileName, { signal }), {
+        signal,
+        onWait: () => UIManager.updateProgress('Waiting for another tab...')
+      });
+    }
+
+    // Members run in parallel and are cached under their own keys; the merge
+    // isn't cached, see cachedTags. Until the last one answers, onPartial
+    // gets what the others returned so far.
+    static async tagEnsemble({ blob, fileName, cacheKey }, ensemble, signal, onPartial) {
+      const members = ensemble.members();
+      const results = [];
+      let partials = Promise.resolve();
+
+      const settled = await Promise.allSettled(members.map(async ({ backend, weight }) => {
+        const key = cacheManager.keyForBackend(cacheKey, backend.id);
+        let tags = await cacheManager.get(key);
+        if (!tags || tags.length === 0) {
+          tags = await TabCoordinator.run(key, () => this.sendForTagging(blob, fileName, { backend, signal }), { signal });
+        }
+        results.push({ backend, weight, tags });
+
+        if (onPartial && results.length < members.length) {
+          const answered = results.map(result => result.backend);
+          const pending = members.filter(member => !answered.includes(member.backend)).map(member => member.backend.label);
+          const merged = ensemble.merge(results);
+          partials = partials.then(() => onPartial(merged, pending));
+        }
+      }));
+      await partials;
+
+      if (signal?.aborted) throw HttpClient.abortError();
+      const failures = settled.filter(outcome => outcome.status === 'rejected');
+      if (results.length === 0) throw failures[0].reason;
+
+      if (failures.length > 0) {
+        console.warn(`LITD: ${failures.length} ensemble backend(s) failed, merging the rest:`, failures.map(f => f.reason));
+      }
+      return ensemble.merge(results);
+    }
+
+    // Records url -> hash so the next visit can skip the download
+    static async indexSources(url, hash, sources) {
+      if (url) {
+        await urlIndexCache.set(url, hash, sources.length, CONFIG.FRAME_COUNT);
+      }
+      return sources;
+    }
+
+    // Frame keys include the frame count so changing it doesn't reuse other frames
+    static frameSources(frames, hash, baseName) {
+      const keys = this.cacheKeysFor(hash, frames.length);
+      return frames.map((blob, index) => ({
+        blob,
+        fileName: `${baseName}_frame_${index + 1}.jpg`,
+        cacheKey: keys[index]
+      }));
+    }
+
+    static async videoSources(videoBlob, hash, signal) {
+      const frames = await MediaProcessor.extractVideoFrames(videoBlob, CONFIG.FRAME_COUNT, signal);
+      return this.frameSources(frames, hash, 'video');
+    }
+
+    // Still images give one source, animated ones and ugoira one per sampled frame
+    static async imageSources(blob, fileName, hash, legacyUrl = null) {
+      const baseName = fileName.replace(/\.[^.]+$/, '');
+      if (MediaProcessor.isZip(blob, fileName)) {
+        return this.frameSources(await MediaProcessor.extractUgoiraFrames(blob, CONFIG.FRAME_COUNT), hash, baseName);
+      }
+
+      if (CONFIG.FRAME_COUNT > 1) {
+        const frames = await MediaProcessor.extractAnimatedFrames(blob, CONFIG.FRAME_COUNT);
+        if (frames) {
+          return this.frameSources(frames, hash, baseName);
+        }
       }
+
+      return [{
+        blob,
+        fileName,
+        cacheKey: this.cacheKeysFor(hash, 1)[0],
+        legacyUrl
+      }];
     }
 
-    static async prepareMediaData(media) {
+    static async prepareMediaData(media, url, signal) {
       if (MediaProcessor.isVideo(media)) {
-        const blob = await MediaProcessor.extractVideoFrame();
+        if (url) {
+          try {
+            const videoBlob = await MediaProcessor.fetchBlob(url, signal);
+            const hash = await ContentHasher.hashFor(url, videoBlob);
+            return this.indexSources(url, hash, await this.videoSources(videoBlob, hash, signal));
+          } catch (error) {
+            if (HttpClient.isAbort(error)) throw error;
+            console.warn('LITD: Video frame capture failed, using thumbnail:', error);
+          }
+        }
+
+        const blob = await MediaProcessor.extractVideoFrame(signal);
         const ogImg = document.querySelector(CONFIG.SELECTORS.OG_IMAGE);
-        return {
+        const hash = await ContentHasher.hashFor(ogImg.content, blob);
+        return this.indexSources(url, hash, [{
           blob,
           fileName: "video_frame.jpg",
-          cacheKey: cacheManager.generateKey(ogImg.content)
-        };
+          cacheKey: this.cacheKeysFor(hash, 1)[0],
+          legacyUrl: ogImg.content
+        }]);
       } else {
-        const url = MediaProcessor.extractImageUrl(media);
         if (!url) {
           throw new Error(ErrorTypes.MEDIA_NOT_FOUND);
         }
 
-        const blob = await MediaProcessor.fetchBlob(url);
+        const blob = await MediaProcessor.fetchBlob(url, signal);
         const fileName = url.split("/").pop()?.split("?")[0] || "image.jpg";
+        const hash = await ContentHasher.hashFor(url, blob);
+        return this.indexSources(url, hash, await this.imageSources(blob, fileName, hash, url));
+      }
+    }
 
-        return {
-          blob,
-          fileName,
-          cacheKey: cacheManager.generateKey(url)
-        };
+    // Tags a file that isn't on the page, e.g. from another script
+    static async analyzeBlob(blob, signal, url = null) {
+      const hash = await ContentHasher.hashFor(url || '', blob);
+      const fileName = url?.split("/").pop()?.split("?")[0] || "image.jpg";
+      const sources = blob.type.startsWith('video/') ?
+        await this.videoSources(blob, hash, signal) :
+        await this.imageSources(blob, fileName, hash, url);
+
+      const frameTags = await this.tagSources(url ? await this.indexSources(url, hash, sources) : sources, signal);
+      return frameTags.length > 1 ? FrameAggregator.aggregate(frameTags) : frameTags[0];
+    }
+
+    static async analyzeUrl(url, signal) {
+      const isVideo = /\.(mp4|webm|m4v|mov)$/i.test(new URL(url, location.href).pathname);
+      const frameTags = await this.lookupCachedTags(url, isVideo);
+      if (frameTags) {
+        return frameTags.length > 1 ? FrameAggregator.aggregate(frameTags) : frameTags[0];
       }
+      return this.analyzeBlob(await MediaProcessor.fetchBlob(url, signal), signal, url);
     }
 
-    static async sendForTagging(blob, fileName, cacheKey) {
-      return new Promise((resolve, reject) => {
-        GM.xmlHttpRequest({
-          method: "POST",
-          url: CONFIG.AUTO_TAGGER_URL,
-          data: MediaProcessor.createFormData(blob, fileName),
-          onload: async (response) => {
-            try {
-              if (response.status >= 200 && response.status < 300) {
-                // Cache the response (it will parse and compress automatically)
-                await cacheManager.set(cacheKey, response.responseText);
-                this.handleTaggingResponse(response.responseText);
-                resolve(response);
-              } else {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-              }
-            } catch (error) {
-              reject(error);
-            }
-          },
-          onerror: () => reject(new Error(ErrorTypes.NETWORK_ERROR))
-        });
+    static async sendForTagging(blob, fileName, { backend = TaggerBackend.current(), signal } = {}) {
+      const upload = await ImagePreprocessor.process(blob, fileName, backend);
+      const response = await HttpClient.request({
+        method: "POST",
+        url: backend.getEndpoint(),
+        data: backend.createRequestData(upload.blob, upload.fileName),
+        rateLimiter: taggerRateLimiter,
+        signal
       });
+      return backend.parseResponse(response.responseText);
+    }
+
+    // Rules, aliases, implications, tag info and learned thresholds
+    static async prepareSuggestions(tagDataArray, signal) {
+      const currentTags = TagManager.getCurrentTags();
+      const { ratings, tags: scores } = RatingWidget.split(tagDataArray);
+      const ruled = TagRules.apply(TaggerBackend.topTags(scores), currentTags);
+      const canonical = TagRules.filterCanonical(await TagCanonicalizer.canonicalize(ruled, currentTags, signal));
+      const names = canonical.tags.map(tag => tag.name);
+      const [tagInfo, learned] = await Promise.all([TagInfoResolver.resolve(names, signal), TagFeedback.learned(names)]);
+
+      return { canonical, tagInfo, learned, ratings, tags: TagFeedback.rank(canonical.tags, learned) };
     }
 
-    static handleCachedTags(tagDataArray) {
+    // pending: ensemble backends still running. The next render updates their
+    // column in place, and nothing is pre-selected until all have answered.
+    static async renderTags(tagDataArray, { pending = [], signal = null } = {}) {
       try {
-        UIManager.hideProgress();
+        const { canonical, tagInfo, learned, ratings, tags } = await this.prepareSuggestions(tagDataArray, signal);
+        if (signal?.aborted) return null;
+        this.wholeImageTags = new Map(tags.flatMap(tag =>
+          [tag, ...(tag.implies || [])].map(entry => [entry.name, entry.confidence])));
 
-        const currentTags = TagManager.getCurrentTags();
-        const tagColumnHtml = TagManager.processCachedTags(tagDataArray, currentTags);
+        if (pending.length > 0) {
+          UIManager.updateProgress(`Waiting for ${pending.join(', ')}...`);
+        } else {
+          UIManager.hideProgress();
+        }
 
-        const container = document.querySelector(CONFIG.SELECTORS.RELATED_TAGS);
+        const tagColumnHtml = TagManager.processTags(tags, { ...canonical, tagInfo, learned });
+
+        const container = SiteAdapter.current().mountPoint();
         if (container) {
-          container.insertAdjacentHTML('beforeend', tagColumnHtml);
+          let column = container.querySelector(`${CONFIG.SELECTORS.MAIN_COLUMN}.litd-partial`);
+          if (column) {
+            TagColumnControls.replaceItems(column, tagColumnHtml);
+            column.querySelectorAll('.litd-rating, .litd-removals, .litd-preprocess-savings, .litd-pending')
+              .forEach(section => section.remove());
+          } else {
+            container.querySelectorAll(CONFIG.SELECTORS.MAIN_COLUMN).forEach(other => other.remove());
+            container.insertAdjacentHTML('beforeend', tagColumnHtml);
+            column = container.lastElementChild;
+            TagColumnControls.attach(column);
+            KeyboardReview.attach(column);
+          }
+          column.classList.toggle('litd-partial', pending.length > 0);
+          RatingWidget.attach(column, ratings, { preselect: pending.length === 0 });
 
-          // Update Danbooru's related tag functionality if available
-          if (typeof Danbooru !== 'undefined' && Danbooru.RelatedTag) {
-            Danbooru.RelatedTag.update_selected();
+          const preselected = TagColumnControls.selectableItems(column)
+            .filter(item => learned.has(item.dataset.tagName) &&
+              Number(item.dataset.confidence) >= Number(item.dataset.threshold));
+          const autoSelected = CONFIG.PRESELECT_LEARNED === 'on' && pending.length === 0 ? preselected : [];
+          if (autoSelected.length > 0) {
+            TagColumnControls.addItems(autoSelected);
           }
+          TagFeedback.track(tags, canonical, autoSelected.map(item => item.dataset.tagName));
+          RemovalChecker.attach(column,
+            await RemovalChecker.check(tagDataArray, canonical.impliedByCurrent, signal));
+          column.insertAdjacentHTML('beforeend', ImagePreprocessor.createSummary());
+          if (pending.length > 0) {
+            column.insertAdjacentHTML('beforeend',
+              `<div class="litd-pending text-muted text-xs">Partial results, waiting for ${pending.join(', ')}</div>`);
+          }
+
+          SiteAdapter.current().refreshRelatedTags();
         }
+
+        return tags;
       } catch (error) {
-        console.error('LITD: Cached tag handling failed:', error);
+        if (HttpClient.isAbort(error)) return null;
+        console.error('LITD: Tag rendering failed:', error);
         UIManager.showError(ErrorTypes.PARSING_ERROR);
+        LITDEvents.emit('error', { source: 'page', message: ErrorTypes.PARSING_ERROR });
+        return null;
       }
     }
+  }
+
+  // Versioned API for other userscripts, exposed as window.LITD. The major
+  // version changes whenever a call or its result changes incompatibly.
+  // Page scripts can reach it too, so the cache and settings can only be read
+  // through it; changing them stays in the LITD dialogs.
+  const API_VERSION = '2.0.0';
+
+  class LITDApi {
+    static lastTags = []; // Suggestions of the last page analysis
+
+    static isElement(input) {
+      return input?.nodeType === Node.ELEMENT_NODE;
+    }
+
+    // Duck-typed so blobs created by page scripts are accepted too
+    static isBlob(input) {
+      return typeof input?.arrayBuffer === 'function' && typeof input.type === 'string';
+    }
 
-    static handleTaggingResponse(responseText) {
+    // Returns normalized tags [{ name, confidence, frames?, totalFrames? }]
+    static async analyze(input, { signal } = {}) {
+      let url = null;
+      let run;
+      if (typeof input === 'string') {
+        url = input;
+        run = () => LITDApp.analyzeUrl(input, signal);
+      } else if (this.isElement(input)) {
+        url = LITDApp.getMediaUrl(input);
+        run = () => LITDApp.analyzeMedia(input, url, signal);
+      } else if (this.isBlob(input)) {
+        run = () => LITDApp.analyzeBlob(input, signal);
+      } else {
+        throw new TypeError('LITD.analyze expects an image or video element, a Blob or a URL');
+      }
+
+      LITDEvents.emit('analysis-start', { source: 'api', url });
       try {
-        UIManager.hideProgress();
+        const tags = TaggerBackend.topTags(await run());
+        LITDEvents.emit('tags-ready', { source: 'api', url, tags });
+        return tags;
+      } catch (error) {
+        LITDEvents.emit('error', {
+          source: 'api',
+          url,
+          message: HttpClient.isAbort(error) ? ErrorTypes.CANCELLED : error.message
+        });
+        throw error;
+      }
+    }
 
-        const doc = new DOMParser().parseFromString(responseText, "text/html");
-        const currentTags = TagManager.getCurrentTags();
-        const tagColumnHtml = TagManager.processSuggestedTags(doc, currentTags);
+    static currentSettings() {
+      return Object.fromEntries(SETTINGS_FIELDS.map(field => [field.key, CONFIG[field.key]]));
+    }
 
-        const container = document.querySelector(CONFIG.SELECTORS.RELATED_TAGS);
-        if (container) {
-          container.insertAdjacentHTML('beforeend', tagColumnHtml);
+    // Firefox hides sandbox objects, functions and promises from page scripts
+    // unless they are cloned into the page
+    static toPage(value, pageWindow) {
+      return typeof cloneInto === 'function' ? cloneInto(value, pageWindow) : value;
+    }
 
-          // Update Danbooru's related tag functionality if available
-          if (typeof Danbooru !== 'undefined' && Danbooru.RelatedTag) {
-            Danbooru.RelatedTag.update_selected();
+    static settle(promise, pageWindow) {
+      if (typeof exportFunction !== 'function') return promise;
+
+      return new pageWindow.Promise(exportFunction((resolve, reject) => {
+        promise.then(
+          value => resolve(this.toPage(value, pageWindow)),
+          error => {
+            const pageError = new pageWindow.Error(error?.message || String(error));
+            pageError.name = error?.name || 'Error';
+            reject(pageError);
           }
+        );
+      }, pageWindow));
+    }
+
+    static create(pageWindow) {
+      const api = {
+        version: API_VERSION,
+        analyze: (input, options) => this.settle(this.analyze(input, options), pageWindow),
+        lastTags: () => this.toPage(this.lastTags.map(({ name, confidence }) => ({ name, confidence })), pageWindow),
+        cache: {
+          get: key => this.settle(cacheManager.get(key), pageWindow),
+          query: options => this.settle(cacheManager.query(options), pageWindow),
+          stats: () => this.settle(cacheManager.getStats(), pageWindow)
+        },
+        settings: {
+          get: () => this.toPage(this.currentSettings(), pageWindow),
+          fields: () => this.toPage(SETTINGS_FIELDS.map(({ key, label, type, min, max }) => ({ key, label, type, min, max })), pageWindow),
+          onChange: listener => SettingsManager.onChange(() => listener(this.toPage(this.currentSettings(), pageWindow)))
         }
-      } catch (error) {
-        console.error('LITD: Response handling failed:', error);
-        UIManager.showError(ErrorTypes.PARSING_ERROR);
-      }
+      };
+      return typeof cloneInto === 'function' ?
+        cloneInto(api, pageWindow, { cloneFunctions: true }) :
+        Object.freeze({ ...api, cache: Object.freeze(api.cache), settings: Object.freeze(api.settings) });
     }
   }
 
   // Initialize the application
   LITDApp.initialize();
 
+  // Other userscripts run outside our sandbox, so publish on the page window
+  const pageWindow = typeof unsafeWindow !== 'undefined' ? unsafeWindow : window;
+  pageWindow.LITD = LITDApi.create(pageWindow);
+  LITDEvents.emit('ready', { version: API_VERSION });
+
   // Expose cache manager for debugging
   window.LITD_CacheManager = cacheManager;
 })();